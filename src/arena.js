@@ -0,0 +1,207 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+
+// Arena and environment geometry, given in the session manifest as "arena",
+// inline or as the path of a JSON file relative to the manifest:
+//
+//   {
+//     "units": "cm",            // m (default), cm or mm
+//     "upAxis": "z",            // y (default) or z, as for C3D streams
+//     "shapes": [
+//       { "type": "polygon", "points": [[0, 0], [100, 0], [100, 10], [0, 10]], "color": "#444444" },
+//       { "type": "wall", "center": [0, 0], "radius": 40, "height": 30 },
+//       { "type": "wall", "points": [[-50, 0], [50, 0]], "height": 20, "closed": false },
+//       { "type": "cylinder", "center": [10, 15], "radius": 3, "height": 12 },
+//       { "type": "box", "center": [-20, 5], "size": [8, 4], "height": 6, "angle": 30 }
+//     ],
+//     "model": { "file": "maze.glb", "offset": [0, 0, 0], "scale": 1 }
+//   }
+//
+// Shapes are laid out on the floor in tracking coordinates: points are
+// [x, z] for a y-up recording and [x, y] for a z-up one, and "base" raises a
+// shape off the floor. Polygons and walls take either "points" or a "center"
+// and "radius" for a circle. Walls are closed unless "closed" is false. Every
+// shape takes "color" and "opacity".
+//
+// "model" (or just its file name) is a glTF (.glb, or .gltf with embedded
+// buffers) or OBJ file in the same units and axes, moved by "offset".
+//
+// loadArena resolves to { group, bounds }, with bounds the floor extent
+// { minX, maxX, minZ, maxZ } in scene coordinates.
+
+export class ArenaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArenaError';
+  }
+}
+
+const LENGTH_UNITS = { m: 1, cm: 0.01, mm: 0.001 };
+const CIRCLE_SEGMENTS = 64;
+const DEFAULT_STYLE = {
+  polygon: { color: '#444444', opacity: 0.5 },
+  wall: { color: '#8888aa', opacity: 0.25 },
+  cylinder: { color: '#aa8844', opacity: 0.8 },
+  box: { color: '#aa8844', opacity: 0.8 },
+};
+
+// `readFile(name)` resolves to an ArrayBuffer, as for session streams.
+export async function loadArena(definition, readFile) {
+  if (!definition || typeof definition !== 'object') {
+    throw new ArenaError('arena: expected an object with "shapes" and/or "model"');
+  }
+  const scale = LENGTH_UNITS[definition.units || 'm'];
+  if (!scale) {
+    throw new ArenaError(`arena: unknown units "${definition.units}"`);
+  }
+  const upAxis = (definition.upAxis || 'y').toLowerCase();
+  if (upAxis !== 'y' && upAxis !== 'z') {
+    throw new ArenaError(`arena: unknown upAxis "${definition.upAxis}"`);
+  }
+  // Floor coordinates to scene (x, z); z-up maps (x, y, z) to (x, z, -y).
+  const flip = upAxis === 'z' ? -1 : 1;
+  const ground = ([a, b]) => new THREE.Vector2(a * scale, b * scale * flip);
+
+  const group = new THREE.Group();
+  (definition.shapes || []).forEach((spec, i) => {
+    group.add(createShape(spec, i, ground, scale));
+  });
+  if (definition.model) {
+    group.add(await loadModel(definition.model, readFile, scale, upAxis));
+  }
+
+  const box = new THREE.Box3().setFromObject(group);
+  const bounds = box.isEmpty() ? null : { minX: box.min.x, maxX: box.max.x, minZ: box.min.z, maxZ: box.max.z };
+  return { group, bounds };
+}
+
+function createShape(spec, i, ground, scale) {
+  const type = spec.type;
+  const fail = message => new ArenaError(`arena: shape ${i} (${type}): ${message}`);
+  if (!DEFAULT_STYLE[type]) {
+    throw new ArenaError(`arena: shape ${i} has unknown type "${type}" (expected polygon, wall, cylinder or box)`);
+  }
+  const base = (spec.base || 0) * scale;
+  const height = (spec.height || 0) * scale;
+  const material = new THREE.MeshBasicMaterial({
+    color: spec.color || DEFAULT_STYLE[type].color,
+    opacity: spec.opacity ?? DEFAULT_STYLE[type].opacity,
+    transparent: true,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+  });
+
+  if (type === 'polygon' || type === 'wall') {
+    const points = outlineOf(spec, ground, scale, fail);
+    if (type === 'polygon') {
+      // ShapeGeometry lies in the xy plane; laid flat, y becomes -z.
+      const shape = new THREE.Shape(points.map(p => new THREE.Vector2(p.x, -p.y)));
+      const mesh = new THREE.Mesh(new THREE.ShapeGeometry(shape), material);
+      mesh.rotation.x = -Math.PI / 2;
+      mesh.position.y = base + 0.0005;
+      return mesh;
+    }
+    if (!(height > 0)) throw fail('"height" must be positive');
+    const closed = spec.closed !== false;
+    return withEdges(new THREE.Mesh(wallGeometry(points, closed, base, height), material));
+  }
+
+  if (!isVector(spec.center, 2)) throw fail('"center" must be a floor point');
+  if (!(height > 0)) throw fail('"height" must be positive');
+  const center = ground(spec.center);
+  let geometry;
+  if (type === 'cylinder') {
+    if (!(spec.radius > 0)) throw fail('"radius" must be positive');
+    geometry = new THREE.CylinderGeometry(spec.radius * scale, spec.radius * scale, height, 32);
+  } else {
+    if (!isVector(spec.size, 2)) throw fail('"size" must be [width, depth]');
+    geometry = new THREE.BoxGeometry(spec.size[0] * scale, height, spec.size[1] * scale);
+  }
+  const mesh = withEdges(new THREE.Mesh(geometry, material));
+  mesh.position.set(center.x, base + height / 2, center.y);
+  mesh.rotation.y = THREE.MathUtils.degToRad(spec.angle || 0);
+  return mesh;
+}
+
+// A shape's outline in scene (x, z), from "points" or "center" and "radius".
+function outlineOf(spec, ground, scale, fail) {
+  if (Array.isArray(spec.points)) {
+    if (spec.points.length < 2 || !spec.points.every(p => isVector(p, 2))) {
+      throw fail('"points" must be a list of at least two floor points');
+    }
+    return spec.points.map(ground);
+  }
+  if (isVector(spec.center, 2) && spec.radius > 0) {
+    const center = ground(spec.center);
+    const radius = spec.radius * scale;
+    return Array.from({ length: CIRCLE_SEGMENTS }, (_, k) => {
+      const angle = (k / CIRCLE_SEGMENTS) * 2 * Math.PI;
+      return new THREE.Vector2(center.x + radius * Math.cos(angle), center.y + radius * Math.sin(angle));
+    });
+  }
+  throw fail('needs "points", or "center" and "radius"');
+}
+
+// One vertical quad per outline segment.
+function wallGeometry(points, closed, base, height) {
+  const positions = [];
+  const indices = [];
+  const count = closed ? points.length : points.length - 1;
+  for (let k = 0; k < count; k++) {
+    const a = points[k];
+    const b = points[(k + 1) % points.length];
+    const v = positions.length / 3;
+    positions.push(a.x, base, a.y, b.x, base, b.y, b.x, base + height, b.y, a.x, base + height, a.y);
+    indices.push(v, v + 1, v + 2, v, v + 2, v + 3);
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  return geometry;
+}
+
+// Outline a translucent mesh so its shape reads from any angle.
+function withEdges(mesh) {
+  mesh.add(new THREE.LineSegments(
+    new THREE.EdgesGeometry(mesh.geometry),
+    new THREE.LineBasicMaterial({ color: mesh.material.color, transparent: true, opacity: 0.6 })
+  ));
+  return mesh;
+}
+
+async function loadModel(spec, readFile, scale, upAxis) {
+  const { file, offset, scale: modelScale } = typeof spec === 'string' ? { file: spec } : spec;
+  if (typeof file !== 'string') {
+    throw new ArenaError('arena: "model" must be a file name or { "file": ... }');
+  }
+  const buffer = await readFile(file);
+  let model;
+  if (/\.(glb|gltf)$/i.test(file)) {
+    try {
+      model = (await new GLTFLoader().parseAsync(buffer, '')).scene;
+    } catch (err) {
+      throw new ArenaError(`arena: could not read ${file} (${err.message})`);
+    }
+  } else if (/\.obj$/i.test(file)) {
+    model = new OBJLoader().parse(new TextDecoder().decode(buffer));
+  } else {
+    throw new ArenaError(`arena: ${file} is not a .glb, .gltf or .obj model`);
+  }
+
+  // Place the model in a wrapper so its own root transform is kept.
+  const wrapper = new THREE.Group();
+  wrapper.add(model);
+  wrapper.scale.setScalar(scale * (modelScale || 1));
+  if (upAxis === 'z') wrapper.rotation.x = -Math.PI / 2;
+  if (offset !== undefined) {
+    if (!isVector(offset, 3)) throw new ArenaError('arena: model "offset" must be [x, y, z]');
+    const [x, y, z] = offset.map(v => v * scale);
+    wrapper.position.set(x, upAxis === 'z' ? z : y, upAxis === 'z' ? -y : z);
+  }
+  return wrapper;
+}
+
+function isVector(value, length) {
+  return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+
+// Selective bloom, as in main_bloom.js: objects with BLOOM_LAYER enabled are
+// rendered through an UnrealBloomPass on their own, with every other mesh
+// drawn black so it still hides glowing objects behind it, and the glow is
+// added on top of the normal render.
+//
+// The glow also sets alpha, so with a transparent background (?transparent=1)
+// it shows over whatever is behind the canvas.
+
+export const BLOOM_LAYER = 1;
+
+const mixShader = {
+  uniforms: {
+    baseTexture: { value: null },
+    bloomTexture: { value: null },
+  },
+  vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform sampler2D baseTexture;
+    uniform sampler2D bloomTexture;
+    varying vec2 vUv;
+    void main() {
+      vec4 base = texture2D(baseTexture, vUv);
+      vec3 bloom = texture2D(bloomTexture, vUv).rgb;
+      // Premultiplied: the glow is as opaque as it is bright.
+      float alpha = max(base.a, max(bloom.r, max(bloom.g, bloom.b)));
+      gl_FragColor = vec4(base.rgb + bloom, clamp(alpha, 0.0, 1.0));
+    }
+  `,
+};
+
+export function createSelectiveBloom(renderer, scene, camera) {
+  const size = renderer.getSize(new THREE.Vector2());
+  const bloomPass = new UnrealBloomPass(size, 1, 0.1, 0);
+  const bloomComposer = new EffectComposer(renderer);
+  bloomComposer.renderToScreen = false;
+  const bloomRenderPass = new RenderPass(scene, camera);
+  bloomComposer.addPass(bloomRenderPass);
+  bloomComposer.addPass(bloomPass);
+
+  const mixPass = new ShaderPass(mixShader, 'baseTexture');
+  mixPass.material.uniforms.bloomTexture.value = bloomComposer.renderTarget2.texture;
+  mixPass.needsSwap = true;
+  const finalComposer = new EffectComposer(renderer);
+  const finalRenderPass = new RenderPass(scene, camera);
+  finalComposer.addPass(finalRenderPass);
+  finalComposer.addPass(mixPass);
+  finalComposer.addPass(new OutputPass());
+
+  const bloomLayer = new THREE.Layers();
+  bloomLayer.set(BLOOM_LAYER);
+  const darkMaterial = new THREE.MeshBasicMaterial({ color: 'black' });
+  const materials = new Map();
+  const hidden = [];
+
+  // Meshes with ordinary materials can be drawn black; meshes whose shaders
+  // move vertices bring their own black material (userData.darkMaterial, see
+  // spikeDots.js). Fat lines and custom shaders (trails) cannot be, so they
+  // are hidden instead.
+  const darkenNonBloomed = obj => {
+    if (!obj.material || obj.layers.test(bloomLayer)) return;
+    if (obj.isMesh && !obj.material.isLineMaterial && !obj.material.isShaderMaterial) {
+      materials.set(obj, obj.material);
+      obj.material = obj.userData.darkMaterial || darkMaterial;
+    } else if (obj.visible) {
+      hidden.push(obj);
+      obj.visible = false;
+    }
+  };
+  const restore = () => {
+    materials.forEach((material, obj) => { obj.material = material; });
+    materials.clear();
+    hidden.forEach(obj => { obj.visible = true; });
+    hidden.length = 0;
+  };
+
+  return {
+    setSize(width, height) {
+      bloomComposer.setSize(width, height);
+      finalComposer.setSize(width, height);
+    },
+
+    // When the view switches between perspective and orthographic cameras.
+    setCamera(newCamera) {
+      bloomRenderPass.camera = newCamera;
+      finalRenderPass.camera = newCamera;
+    },
+
+    render({ strength, radius, threshold }) {
+      bloomPass.strength = strength;
+      bloomPass.radius = radius;
+      bloomPass.threshold = threshold;
+      // Only the bloomed layer may glow, so the background is left out too.
+      const background = scene.background;
+      scene.background = null;
+      scene.traverse(darkenNonBloomed);
+      bloomComposer.render();
+      restore();
+      scene.background = background;
+      finalComposer.render();
+    },
+  };
+}
@@ -0,0 +1,230 @@
+// Minimal C3D reader: header, parameter section and 3D point data.
+//
+// Supports integer and floating-point point data written by Intel (little
+// endian), DEC (VAX floats) and MIPS/SGI (big endian) processors. Analog data
+// is skipped. See https://www.c3d.org/HTML/default.htm for the format.
+
+const BLOCK_SIZE = 512;
+const PROCESSOR_INTEL = 84;
+const PROCESSOR_DEC = 85;
+const PROCESSOR_MIPS = 86;
+
+export class C3DError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'C3DError';
+  }
+}
+
+// Parse a C3D file. Returns point positions as a flat Float32Array laid out as
+// [frames, points, 3] in the file's own units and axes; samples flagged as
+// invalid (negative residual) are NaN.
+export function parseC3D(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < BLOCK_SIZE || view.getUint8(1) !== 0x50) {
+    throw new C3DError('Not a C3D file (missing 0x50 signature in header)');
+  }
+
+  const paramStart = (view.getUint8(0) - 1) * BLOCK_SIZE;
+  const processor = view.getUint8(paramStart + 3);
+  if (![PROCESSOR_INTEL, PROCESSOR_DEC, PROCESSOR_MIPS].includes(processor)) {
+    throw new C3DError(`Unknown C3D processor type ${processor}`);
+  }
+  const reader = createReader(view, processor);
+
+  const header = {
+    pointCount: reader.uint16(2),
+    analogPerFrame: reader.uint16(4),
+    firstFrame: reader.uint16(6),
+    lastFrame: reader.uint16(8),
+    scale: reader.float32(12),
+    dataStart: reader.uint16(16),
+    frameRate: reader.float32(20),
+  };
+  const params = parseParameters(view, reader, paramStart);
+  const point = params.POINT || {};
+  const analog = params.ANALOG || {};
+  const trial = params.TRIAL || {};
+
+  const pointCount = first(point.USED) ?? header.pointCount;
+  const scale = first(point.SCALE) ?? header.scale;
+  const frameRate = first(point.RATE) ?? header.frameRate;
+  const dataStart = ((first(point.DATA_START) ?? header.dataStart) - 1) * BLOCK_SIZE;
+
+  // Long recordings overflow the 16-bit frame numbers; TRIAL stores them as
+  // two words instead.
+  let firstFrame = header.firstFrame;
+  let lastFrame = header.lastFrame;
+  if (trial.ACTUAL_START_FIELD && trial.ACTUAL_END_FIELD) {
+    firstFrame = unsignedPair(trial.ACTUAL_START_FIELD);
+    lastFrame = unsignedPair(trial.ACTUAL_END_FIELD);
+  }
+  let frames = lastFrame - firstFrame + 1;
+
+  const isFloat = scale < 0;
+  const wordSize = isFloat ? 4 : 2;
+  const analogWords = analog.USED
+    ? first(analog.USED) * Math.round((first(analog.RATE) ?? frameRate) / frameRate)
+    : header.analogPerFrame;
+  const frameSize = (pointCount * 4 + analogWords) * wordSize;
+  // Trust the file size over the header if the header is inconsistent.
+  frames = Math.min(frames, Math.floor((view.byteLength - dataStart) / frameSize));
+  if (!(frames > 0)) {
+    throw new C3DError('C3D file contains no point frames');
+  }
+
+  const labels = collectLabels(point, pointCount);
+  const points = new Float32Array(frames * pointCount * 3);
+  const pointScale = Math.abs(scale);
+  const read = isFloat ? reader.float32 : reader.int16;
+  for (let f = 0; f < frames; f++) {
+    let offset = dataStart + f * frameSize;
+    for (let p = 0; p < pointCount; p++) {
+      const x = read(offset);
+      const y = read(offset + wordSize);
+      const z = read(offset + 2 * wordSize);
+      const residual = read(offset + 3 * wordSize);
+      const out = (f * pointCount + p) * 3;
+      if (residual < 0) {
+        points[out] = points[out + 1] = points[out + 2] = NaN;
+      } else if (isFloat) {
+        points[out] = x;
+        points[out + 1] = y;
+        points[out + 2] = z;
+      } else {
+        points[out] = x * pointScale;
+        points[out + 1] = y * pointScale;
+        points[out + 2] = z * pointScale;
+      }
+      offset += 4 * wordSize;
+    }
+  }
+
+  return {
+    frameRate,
+    firstFrame,
+    frames,
+    pointCount,
+    labels,
+    units: (first(point.UNITS) || 'mm').trim(),
+    yScreen: (first(point.Y_SCREEN) || '').trim(),
+    points,
+    parameters: params,
+  };
+}
+
+// Parameter section -> { GROUP: { PARAM: values[] } }. Character parameters
+// become arrays of trimmed strings, numeric ones flat arrays.
+function parseParameters(view, reader, start) {
+  const groupNames = {};
+  const raw = [];
+  let offset = start + 4;
+  const end = start + view.getUint8(start + 2) * BLOCK_SIZE;
+
+  while (offset < end) {
+    const nameLength = Math.abs(view.getInt8(offset));
+    if (nameLength === 0) break;
+    const id = view.getInt8(offset + 1);
+    const name = readString(view, offset + 2, nameLength).toUpperCase();
+    const nextPtr = offset + 2 + nameLength;
+    const next = reader.int16(nextPtr);
+
+    if (id < 0) {
+      groupNames[-id] = name;
+    } else {
+      let p = nextPtr + 2;
+      const type = view.getInt8(p);
+      const dimCount = view.getUint8(p + 1);
+      const dims = [];
+      for (let d = 0; d < dimCount; d++) {
+        dims.push(view.getUint8(p + 2 + d));
+      }
+      p += 2 + dimCount;
+      raw.push({ group: id, name, value: readParameterData(view, reader, p, type, dims) });
+    }
+
+    if (next === 0) break;
+    offset = nextPtr + next;
+  }
+
+  const groups = {};
+  for (const { group, name, value } of raw) {
+    const groupName = groupNames[group] || `GROUP${group}`;
+    groups[groupName] = groups[groupName] || {};
+    groups[groupName][name] = value;
+  }
+  return groups;
+}
+
+function readParameterData(view, reader, offset, type, dims) {
+  const count = dims.reduce((a, b) => a * b, 1);
+  if (type === -1) {
+    // Character data: first dimension is the string length.
+    if (dims.length === 0) return [readString(view, offset, 1)];
+    const length = dims[0];
+    const strings = [];
+    for (let i = 0; i < count / length; i++) {
+      strings.push(readString(view, offset + i * length, length).trim());
+    }
+    return strings;
+  }
+  const size = Math.abs(type);
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const at = offset + i * size;
+    if (size === 1) values.push(view.getUint8(at));
+    else if (size === 2) values.push(reader.int16(at));
+    else values.push(reader.float32(at));
+  }
+  return values;
+}
+
+// POINT:LABELS holds at most 255 entries; longer lists continue in LABELS2,
+// LABELS3, ...
+function collectLabels(point, pointCount) {
+  let labels = (point.LABELS || []).slice();
+  for (let i = 2; point[`LABELS${i}`]; i++) {
+    labels = labels.concat(point[`LABELS${i}`]);
+  }
+  labels = labels.slice(0, pointCount);
+  for (let i = labels.length; i < pointCount; i++) {
+    labels.push(`point${i}`);
+  }
+  return labels.map((label, i) => label || `point${i}`);
+}
+
+function createReader(view, processor) {
+  const littleEndian = processor !== PROCESSOR_MIPS;
+  const int16 = offset => view.getInt16(offset, littleEndian);
+  const uint16 = offset => view.getUint16(offset, littleEndian);
+  let float32 = offset => view.getFloat32(offset, littleEndian);
+  if (processor === PROCESSOR_DEC) {
+    // VAX F-floats: 16-bit words swapped and exponent biased by 2 relative to IEEE.
+    const scratch = new DataView(new ArrayBuffer(4));
+    float32 = offset => {
+      scratch.setUint8(0, view.getUint8(offset + 2));
+      scratch.setUint8(1, view.getUint8(offset + 3));
+      scratch.setUint8(2, view.getUint8(offset));
+      scratch.setUint8(3, view.getUint8(offset + 1));
+      return scratch.getFloat32(0, true) / 4;
+    };
+  }
+  return { int16, uint16, float32 };
+}
+
+function readString(view, offset, length) {
+  let s = '';
+  for (let i = 0; i < length; i++) {
+    s += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return s.replace(/\0/g, '');
+}
+
+function first(values) {
+  return values && values.length > 0 ? values[0] : undefined;
+}
+
+// TRIAL:ACTUAL_*_FIELD stores a frame number as two unsigned 16-bit words.
+function unsignedPair(values) {
+  return (values[0] & 0xffff) + (values[1] & 0xffff) * 65536;
+}
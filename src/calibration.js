@@ -0,0 +1,142 @@
+import * as THREE from 'three';
+
+// Tracking-camera calibration: the pose and field of view of each camera of
+// the motion-capture rig. Given in the session manifest as "cameras", inline
+// or as the path of a JSON file relative to the manifest:
+//
+//   {
+//     "units": "mm",            // positions: m (default), cm or mm
+//     "upAxis": "z",            // y (default) or z, as for C3D streams
+//     "convention": "opencv",   // camera looks down +z with y down; default
+//                               // "opengl": down -z with y up
+//     "cameras": [
+//       {
+//         "label": "Cam 1",
+//         "serial": "M21542",
+//         "position": [1200, -950, 2400],
+//         "rotation": [qx, qy, qz, qw],        // or "matrix": 3x3 rows, or "lookAt": [x, y, z]
+//         "intrinsics": { "fx": 1310, "fy": 1310, "width": 1664, "height": 1088 },
+//         "range": 4                           // frustum depth in metres (default 3)
+//       }
+//     ]
+//   }
+//
+// Rotations are camera-to-world. Instead of intrinsics, "fov" may give the
+// horizontal and vertical field of view in degrees.
+//
+// Cameras are returned in scene axes as { label, serial, position, quaternion,
+// hfov, vfov, range }, with the quaternion in three.js camera convention
+// (looking down -z) and angles in degrees.
+
+export class CalibrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CalibrationError';
+  }
+}
+
+const LENGTH_UNITS = { m: 1, cm: 0.01, mm: 0.001 };
+const DEFAULT_RANGE = 3;
+
+// Z-up to Y-up, as for C3D data: (x, y, z) -> (x, z, -y).
+const Z_UP_TO_Y_UP = new THREE.Matrix4().set(
+  1, 0, 0, 0,
+  0, 0, 1, 0,
+  0, -1, 0, 0,
+  0, 0, 0, 1
+);
+// OpenCV camera axes (x right, y down, z forward) to OpenGL ones.
+const OPENCV_TO_OPENGL = new THREE.Matrix4().makeScale(1, -1, -1);
+
+export function parseCalibration(definition) {
+  if (!definition || !Array.isArray(definition.cameras)) {
+    throw new CalibrationError('cameras: expected an object with a "cameras" list');
+  }
+  const scale = LENGTH_UNITS[definition.units || 'm'];
+  if (!scale) {
+    throw new CalibrationError(`cameras: unknown units "${definition.units}"`);
+  }
+  const upAxis = (definition.upAxis || 'y').toLowerCase();
+  if (upAxis !== 'y' && upAxis !== 'z') {
+    throw new CalibrationError(`cameras: unknown upAxis "${definition.upAxis}"`);
+  }
+  const convention = definition.convention || 'opengl';
+  if (convention !== 'opengl' && convention !== 'opencv') {
+    throw new CalibrationError(`cameras: unknown convention "${convention}"`);
+  }
+  const toScene = upAxis === 'z' ? Z_UP_TO_Y_UP : new THREE.Matrix4();
+
+  return definition.cameras.map((spec, i) => {
+    const label = spec.label || spec.serial || `Camera ${i + 1}`;
+    const fail = message => new CalibrationError(`cameras: ${label}: ${message}`);
+    if (!isVector(spec.position, 3)) throw fail('"position" must be [x, y, z]');
+    const position = new THREE.Vector3().fromArray(spec.position).multiplyScalar(scale).applyMatrix4(toScene);
+
+    // Camera-to-world rotation, converted from the file's axes and convention.
+    let rotation = rotationOf(spec);
+    if (rotation) {
+      if (convention === 'opencv') rotation.multiply(OPENCV_TO_OPENGL);
+      rotation.premultiply(toScene);
+    } else if (isVector(spec.lookAt, 3)) {
+      // Built directly in scene axes, looking down -z.
+      const target = new THREE.Vector3().fromArray(spec.lookAt).multiplyScalar(scale).applyMatrix4(toScene);
+      rotation = new THREE.Matrix4().lookAt(position, target, new THREE.Vector3(0, 1, 0));
+    } else {
+      throw fail('needs "rotation" [qx, qy, qz, qw], "matrix" or "lookAt"');
+    }
+    const quaternion = new THREE.Quaternion().setFromRotationMatrix(rotation);
+
+    let hfov;
+    let vfov;
+    if (spec.intrinsics) {
+      const { fx, fy, width, height } = spec.intrinsics;
+      if (![fx, fy, width, height].every(v => v > 0)) throw fail('intrinsics need positive fx, fy, width and height');
+      hfov = THREE.MathUtils.radToDeg(2 * Math.atan(width / (2 * fx)));
+      vfov = THREE.MathUtils.radToDeg(2 * Math.atan(height / (2 * fy)));
+    } else if (isVector(spec.fov, 2)) {
+      [hfov, vfov] = spec.fov;
+    } else {
+      throw fail('needs "intrinsics" or "fov" [horizontal, vertical]');
+    }
+
+    return { label, serial: spec.serial || '', position, quaternion, hfov, vfov, range: spec.range ?? DEFAULT_RANGE };
+  });
+}
+
+// Six generic cameras evenly spaced on a 1 m ring at 1 m height, looking at
+// the origin: the rig shown when a session has no calibration.
+export function defaultCameras() {
+  return parseCalibration({
+    cameras: Array.from({ length: 6 }, (_, i) => {
+      const angle = i * (2 * Math.PI / 6);
+      return {
+        label: `Camera ${i + 1} (generic)`,
+        position: [Math.cos(angle), 1, Math.sin(angle)],
+        lookAt: [0, 0, 0],
+        fov: [60, 60],
+        range: 1,
+      };
+    }),
+  });
+}
+
+// Rotation matrix from "rotation" (a quaternion) or "matrix", or null.
+function rotationOf(spec) {
+  if (isVector(spec.rotation, 4)) {
+    return new THREE.Matrix4().makeRotationFromQuaternion(new THREE.Quaternion().fromArray(spec.rotation).normalize());
+  }
+  if (Array.isArray(spec.matrix) && spec.matrix.length === 3 && spec.matrix.every(row => isVector(row, 3))) {
+    const [r0, r1, r2] = spec.matrix;
+    return new THREE.Matrix4().set(
+      r0[0], r0[1], r0[2], 0,
+      r1[0], r1[1], r1[2], 0,
+      r2[0], r2[1], r2[2], 0,
+      0, 0, 0, 1
+    );
+  }
+  return null;
+}
+
+function isVector(value, length) {
+  return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+}
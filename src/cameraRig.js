@@ -0,0 +1,157 @@
+import * as THREE from 'three';
+
+// The motion-capture camera rig: an icon per camera at its calibrated pose
+// (see calibration.js) with its viewing frustum, plus rays to a marker from
+// the cameras whose frustum contains it.
+
+const DEFAULT_ICON_SCALE = 0.5;
+const DEFAULT_FRUSTUM_OPACITY = 0.1;
+const ICON_COLOR = 0xffffff;
+const SEEING_COLOR = 0x00ff00;
+
+export function createCameraRig(cameras, { iconScale = DEFAULT_ICON_SCALE, frustumOpacity = DEFAULT_FRUSTUM_OPACITY } = {}) {
+  const group = new THREE.Group();
+  const pickables = [];
+  const frustums = [];
+
+  const icons = cameras.map(camera => {
+    const icon = new THREE.Group();
+    icon.position.copy(camera.position);
+    icon.quaternion.copy(camera.quaternion);
+
+    const material = new THREE.MeshBasicMaterial({ color: ICON_COLOR, wireframe: true, transparent: true, opacity: 0.5 });
+    const body = new THREE.Mesh(new THREE.BoxGeometry(0.2 * iconScale, 0.15 * iconScale, 0.1 * iconScale), material);
+    body.userData.camera = camera;
+    pickables.push(body);
+    const lens = new THREE.Mesh(new THREE.ConeGeometry(0.06 * iconScale, 0.1 * iconScale, 20), material);
+    // Cameras look down -z; the lens flares out towards the front.
+    lens.position.set(0, 0, -0.05 * iconScale);
+    lens.rotation.x = Math.PI / 2;
+    icon.add(body, lens);
+
+    const frustum = createFrustum(camera.hfov, camera.vfov, camera.range, frustumOpacity);
+    frustums.push(frustum);
+    icon.add(frustum);
+    group.add(icon);
+    return { camera, icon, material };
+  });
+
+  // Rays from the cameras that see the highlighted marker.
+  const rayPositions = new THREE.BufferAttribute(new Float32Array(Math.max(cameras.length, 1) * 6), 3);
+  const rayGeometry = new THREE.BufferGeometry();
+  rayGeometry.setAttribute('position', rayPositions);
+  rayGeometry.setDrawRange(0, 0);
+  const rays = new THREE.LineSegments(
+    rayGeometry,
+    new THREE.LineBasicMaterial({ color: SEEING_COLOR, transparent: true, opacity: 0.6 })
+  );
+  rays.frustumCulled = false;
+  group.add(rays);
+
+  return {
+    group,
+    pickables,            // Icon meshes, with the camera in userData.camera.
+
+    setFrustumsVisible(visible) {
+      frustums.forEach(frustum => { frustum.visible = visible; });
+    },
+
+    // Highlight the cameras whose frustum contains `point` (scene
+    // coordinates), or clear the highlight if point is null. Returns the
+    // number of such cameras.
+    highlightVisibleFrom(point) {
+      let seen = 0;
+      icons.forEach(({ camera, material }) => {
+        const sees = point !== null && cameraSees(camera, point);
+        material.color.set(sees ? SEEING_COLOR : ICON_COLOR);
+        material.opacity = sees ? 1 : 0.5;
+        if (!sees) return;
+        rayPositions.setXYZ(seen * 2, camera.position.x, camera.position.y, camera.position.z);
+        rayPositions.setXYZ(seen * 2 + 1, point.x, point.y, point.z);
+        seen++;
+      });
+      rayPositions.needsUpdate = true;
+      rayGeometry.setDrawRange(0, seen * 2);
+      return seen;
+    },
+
+    dispose() {
+      group.traverse(obj => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.material) obj.material.dispose();
+      });
+    },
+  };
+}
+
+const local = new THREE.Vector3();
+const inverse = new THREE.Quaternion();
+
+// Whether a scene point lies inside a camera's viewing frustum (occlusion
+// is not considered).
+export function cameraSees(camera, point) {
+  local.copy(point).sub(camera.position).applyQuaternion(inverse.copy(camera.quaternion).invert());
+  const depth = -local.z;
+  if (!(depth > 0 && depth <= camera.range)) return false;
+  return Math.abs(local.x) <= depth * Math.tan(THREE.MathUtils.degToRad(camera.hfov / 2))
+    && Math.abs(local.y) <= depth * Math.tan(THREE.MathUtils.degToRad(camera.vfov / 2));
+}
+
+// Open pyramid from the camera centre to the far plane at `range`, along -z,
+// fading out with distance from the camera, with faint edges.
+function createFrustum(hfov, vfov, range, opacity) {
+  const w = range * Math.tan(THREE.MathUtils.degToRad(hfov / 2));
+  const h = range * Math.tan(THREE.MathUtils.degToRad(vfov / 2));
+  const corners = [[-w, -h], [w, -h], [w, h], [-w, h]].map(([x, y]) => [x, y, -range]);
+  const sides = [];
+  for (let i = 0; i < 4; i++) {
+    sides.push(0, 0, 0, ...corners[i], ...corners[(i + 1) % 4]);
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(sides, 3));
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      diffuse: { value: new THREE.Color(0xffffff) },
+      opacity: { value: opacity },
+      falloffScale: { value: 20 }
+    },
+    vertexShader: `
+      varying float vDist;
+      void main() {
+        vDist = length(position);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform vec3 diffuse;
+      uniform float opacity;
+      uniform float falloffScale;
+      varying float vDist;
+      void main() {
+        float intensity;
+        if (vDist < 0.05) {
+            intensity = 0.0;
+        } else {
+            intensity = 1.0 / (vDist * vDist * falloffScale);
+            intensity = clamp(intensity, 0.0, 1.0);
+        }
+        gl_FragColor = vec4(diffuse, opacity * intensity);
+      }
+    `,
+    transparent: true,
+    depthWrite: false,
+    side: THREE.DoubleSide
+  });
+  const frustum = new THREE.Mesh(geometry, material);
+
+  const edges = [];
+  corners.forEach((corner, i) => edges.push(0, 0, 0, ...corner, ...corner, ...corners[(i + 1) % 4]));
+  const edgeGeometry = new THREE.BufferGeometry();
+  edgeGeometry.setAttribute('position', new THREE.Float32BufferAttribute(edges, 3));
+  frustum.add(new THREE.LineSegments(
+    edgeGeometry,
+    new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.15 })
+  ));
+  return frustum;
+}
@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+import { headingVector } from './headDirection.js';
+
+// Viewpoints for the 3D view: preset poses framing the floor, the pose of a
+// tracking camera, the animal's-eye pose, and animated transitions between
+// them. A pose is { position, target, fov }: where the camera is, the point
+// it looks at (the orbit centre) and its vertical field of view in degrees.
+
+export const PRESET_VIEWS = ['top', 'front', 'side'];
+
+const MARGIN = 1.2;               // Frame the floor with some room around it.
+const ELEVATION = 0.3;            // Height of front / side views per metre of distance.
+
+// bounds: the floor extent { minX, maxX, minZ, maxZ }; aspect: view width / height.
+export function presetPose(name, bounds, fov, aspect) {
+  const center = new THREE.Vector3((bounds.minX + bounds.maxX) / 2, 0, (bounds.minZ + bounds.maxZ) / 2);
+  const width = bounds.maxX - bounds.minX;
+  const depth = bounds.maxZ - bounds.minZ;
+  // Distance at which a span of `size` metres fills the view height.
+  const fit = size => (MARGIN * size / 2) / Math.tan(THREE.MathUtils.degToRad(fov / 2));
+  let offset;
+  if (name === 'top') {
+    // A hair off vertical, so orbiting from here still has a well-defined up.
+    offset = new THREE.Vector3(0, fit(Math.max(width / aspect, depth)), 1e-3);
+  } else if (name === 'front') {
+    const distance = fit(width / aspect) + depth / 2;
+    offset = new THREE.Vector3(0, distance * ELEVATION, distance);
+  } else if (name === 'side') {
+    const distance = fit(depth / aspect) + width / 2;
+    offset = new THREE.Vector3(distance, distance * ELEVATION, 0);
+  } else {
+    throw new Error(`Unknown preset view "${name}"`);
+  }
+  return { position: center.clone().add(offset), target: center, fov };
+}
+
+// Looking out of a tracking camera (see calibration.js), orbiting about a
+// point one metre in front of it.
+export function trackingCameraPose(trackingCamera) {
+  const position = trackingCamera.position.clone();
+  const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(trackingCamera.quaternion);
+  return { position, target: position.clone().add(forward), fov: trackingCamera.vfov };
+}
+
+// From `eyeHeight` above the rigid body, looking level along the heading.
+export function eyePose(position, heading, eyeHeight, fov) {
+  const eye = new THREE.Vector3(position.x, position.y + eyeHeight, position.z);
+  return { position: eye, target: eye.clone().add(headingVector(heading)), fov };
+}
+
+// An eased blend from a start pose to a destination over `duration` seconds.
+// The destination is passed to every step, so it may move (following the
+// animal) while the transition runs.
+export function createTransition(from, duration) {
+  const start = { position: from.position.clone(), target: from.target.clone(), fov: from.fov };
+  const pose = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: from.fov };
+  let elapsed = 0;
+  return {
+    get done() {
+      return elapsed >= duration;
+    },
+
+    step(delta, to) {
+      elapsed = Math.min(duration, elapsed + delta);
+      const k = duration > 0 ? THREE.MathUtils.smootherstep(elapsed / duration, 0, 1) : 1;
+      pose.position.lerpVectors(start.position, to.position, k);
+      pose.target.lerpVectors(start.target, to.target, k);
+      pose.fov = THREE.MathUtils.lerp(start.fov, to.fov, k);
+      return pose;
+    },
+  };
+}
@@ -0,0 +1,93 @@
+import { unzip } from 'fflate';
+import { readFileAsArrayBuffer } from './files.js';
+
+// Drag-and-drop of local session files.
+//
+// Accepts any mix of loose files, folders and .zip archives. Everything is
+// flattened into a Map of relative path -> Blob and handed to `onFiles`.
+export function setupDropZone(element, onFiles, onError) {
+  element.addEventListener('dragover', event => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    element.classList.add('dragging');
+  });
+  element.addEventListener('dragleave', event => {
+    if (event.target === element) element.classList.remove('dragging');
+  });
+  element.addEventListener('drop', event => {
+    event.preventDefault();
+    element.classList.remove('dragging');
+    collectDroppedFiles(event.dataTransfer)
+      .then(onFiles)
+      .catch(onError);
+  });
+}
+
+async function collectDroppedFiles(dataTransfer) {
+  // Entries must be grabbed synchronously, before the drop event returns.
+  const entries = Array.from(dataTransfer.items || [])
+    .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+    .filter(Boolean);
+
+  const files = new Map();
+  if (entries.length > 0) {
+    for (const entry of entries) {
+      await addEntry(entry, '', files);
+    }
+  } else {
+    for (const file of dataTransfer.files) {
+      files.set(file.name, file);
+    }
+  }
+
+  // Expand zip archives in place.
+  for (const [path, blob] of Array.from(files)) {
+    if (/\.zip$/i.test(path)) {
+      files.delete(path);
+      const contents = await unzipBlob(blob);
+      const dir = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+      for (const [name, data] of contents) {
+        files.set(dir + name, data);
+      }
+    }
+  }
+  return files;
+}
+
+function addEntry(entry, prefix, files) {
+  if (entry.isFile) {
+    return new Promise((resolve, reject) => {
+      entry.file(file => {
+        files.set(prefix + entry.name, file);
+        resolve();
+      }, reject);
+    });
+  }
+  const reader = entry.createReader();
+  const dir = prefix + entry.name + '/';
+  // readEntries() returns results in batches; keep reading until empty.
+  const readBatch = () => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+  return (async () => {
+    let batch = await readBatch();
+    while (batch.length > 0) {
+      for (const child of batch) {
+        await addEntry(child, dir, files);
+      }
+      batch = await readBatch();
+    }
+  })();
+}
+
+async function unzipBlob(blob) {
+  const bytes = new Uint8Array(await readFileAsArrayBuffer(blob));
+  const archive = await new Promise((resolve, reject) => {
+    unzip(bytes, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+  const contents = new Map();
+  for (const [name, data] of Object.entries(archive)) {
+    // Skip directory records and macOS resource forks.
+    if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue;
+    contents.set(name, new Blob([data]));
+  }
+  return contents;
+}
@@ -0,0 +1,77 @@
+// Gap handling for marker and rigid-body trajectories.
+//
+// A trajectory is an array of {x, y, z} samples. Occluded samples are NaN
+// (session.js also maps exact (0, 0, 0) samples to NaN on load). Filled
+// samples are new objects flagged with `filled: true` so they can be drawn in
+// a distinct style.
+
+export const FILL_METHODS = ['none', 'linear', 'cubic'];
+
+export function isValidPoint(p) {
+  return Number.isFinite(p.x) && Number.isFinite(p.y) && Number.isFinite(p.z);
+}
+
+// Return a copy of `points` with interior gaps of at most `maxGap` samples
+// interpolated. Gaps at the start or end of the recording are left alone.
+export function fillGaps(points, method, maxGap) {
+  if (method === 'none' || maxGap < 1) return points;
+  const filled = points.slice();
+  let i = 0;
+  while (i < points.length) {
+    if (isValidPoint(points[i])) {
+      i++;
+      continue;
+    }
+    const start = i;
+    while (i < points.length && !isValidPoint(points[i])) i++;
+    const end = i; // first valid sample after the gap
+    if (start === 0 || end === points.length || end - start > maxGap) continue;
+
+    const p1 = points[start - 1];
+    const p2 = points[end];
+    const span = end - start + 1;
+    if (method === 'cubic') {
+      // Cubic Hermite spline with tangents from the neighbouring samples, so
+      // the fill joins the tracked trajectory with matching velocity.
+      const p0 = start >= 2 && isValidPoint(points[start - 2]) ? points[start - 2] : null;
+      const p3 = end + 1 < points.length && isValidPoint(points[end + 1]) ? points[end + 1] : null;
+      const m1 = p0 ? velocity(p0, p1, span) : velocity(p1, p2, 1);
+      const m2 = p3 ? velocity(p2, p3, span) : velocity(p1, p2, 1);
+      for (let k = start; k < end; k++) {
+        filled[k] = hermite(p1, m1, p2, m2, (k - start + 1) / span);
+      }
+    } else {
+      for (let k = start; k < end; k++) {
+        const t = (k - start + 1) / span;
+        filled[k] = {
+          x: p1.x + (p2.x - p1.x) * t,
+          y: p1.y + (p2.y - p1.y) * t,
+          z: p1.z + (p2.z - p1.z) * t,
+          filled: true,
+        };
+      }
+    }
+  }
+  return filled;
+}
+
+// Velocity from a to b, scaled to "per gap span" (the spline's unit of t).
+// With scale 1 this is the chord across the gap.
+function velocity(a, b, scale) {
+  return { x: (b.x - a.x) * scale, y: (b.y - a.y) * scale, z: (b.z - a.z) * scale };
+}
+
+function hermite(p1, m1, p2, m2, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  const h00 = 2 * t3 - 3 * t2 + 1;
+  const h10 = t3 - 2 * t2 + t;
+  const h01 = -2 * t3 + 3 * t2;
+  const h11 = t3 - t2;
+  return {
+    x: h00 * p1.x + h10 * m1.x + h01 * p2.x + h11 * m2.x,
+    y: h00 * p1.y + h10 * m1.y + h01 * p2.y + h11 * m2.y,
+    z: h00 * p1.z + h10 * m1.z + h01 * p2.z + h11 * m2.z,
+    filled: true,
+  };
+}
@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+import { isValidPoint } from './gaps.js';
+
+// Head direction (azimuth in the horizontal plane) from the rigid body, and
+// occupancy-normalised head-direction tuning curves.
+//
+// Headings are in radians, counter-clockwise seen from above, 0 along +x:
+// heading = atan2(-z, x). Samples without a heading are NaN.
+
+// Heading of a horizontal direction vector.
+export function headingOf(dx, dz) {
+  return Math.atan2(-dz, dx);
+}
+
+// Unit vector in the floor plane for a heading (inverse of headingOf).
+export function headingVector(heading, target = new THREE.Vector3()) {
+  return target.set(Math.cos(heading), 0, -Math.sin(heading));
+}
+
+// Heading per sample from the markers of a rigid body. The first sample where
+// all markers are tracked is the reference pose, whose "forward" points from
+// the markers' centroid to the first marker. Every other sample is registered
+// to it with a 2D least-squares rotation over the markers tracked in both, so
+// occluding some of them does not bias the heading.
+export function headingFromMarkers(markerData, indices) {
+  const tracks = indices.map(i => markerData[i]).filter(Boolean);
+  const n = tracks.length > 0 ? Math.min(...tracks.map(track => track.length)) : 0;
+  const headings = new Float32Array(n).fill(NaN);
+  if (tracks.length < 2) return headings;
+
+  let ref = 0;
+  while (ref < n && !tracks.every(track => isValidPoint(track[ref]))) ref++;
+  if (ref === n) return headings;
+
+  const refPoints = tracks.map(track => track[ref]);
+  const refCentroid = centroidXZ(refPoints);
+  const refForward = headingOf(refPoints[0].x - refCentroid.x, refPoints[0].z - refCentroid.z);
+
+  for (let j = 0; j < n; j++) {
+    const both = [];
+    tracks.forEach((track, k) => {
+      if (isValidPoint(track[j])) both.push(k);
+    });
+    if (both.length < 2) continue;
+    const a = centroidXZ(both.map(k => refPoints[k]));
+    const b = centroidXZ(both.map(k => tracks[k][j]));
+    // Rotation angle maximising the alignment, in (x, -z) coordinates.
+    let cross = 0;
+    let dot = 0;
+    for (const k of both) {
+      const ru = refPoints[k].x - a.x;
+      const rv = -(refPoints[k].z - a.z);
+      const cu = tracks[k][j].x - b.x;
+      const cv = -(tracks[k][j].z - b.z);
+      cross += ru * cv - rv * cu;
+      dot += ru * cu + rv * cv;
+    }
+    headings[j] = wrapAngle(refForward + Math.atan2(cross, dot));
+  }
+  return headings;
+}
+
+// Heading per sample from rigid-body quaternions: the direction the body's
+// `forward` axis (local coordinates) points to, projected onto the floor.
+export function headingFromQuaternions(quats, forward = new THREE.Vector3(1, 0, 0)) {
+  const headings = new Float32Array(quats.length).fill(NaN);
+  const q = new THREE.Quaternion();
+  const v = new THREE.Vector3();
+  quats.forEach((sample, j) => {
+    if (!Number.isFinite(sample.w)) return;
+    v.copy(forward).applyQuaternion(q.set(sample.x, sample.y, sample.z, sample.w));
+    if (v.x !== 0 || v.z !== 0) headings[j] = headingOf(v.x, v.z);
+  });
+  return headings;
+}
+
+// Heading to [-π, π).
+export function wrapAngle(angle) {
+  return angle - 2 * Math.PI * Math.floor((angle + Math.PI) / (2 * Math.PI));
+}
+
+function centroidXZ(points) {
+  let x = 0;
+  let z = 0;
+  for (const p of points) {
+    x += p.x;
+    z += p.z;
+  }
+  return { x: x / points.length, z: z / points.length };
+}
+
+// Tuning curves over `binCount` heading bins for a set of units. Like the
+// place-field rate map, occupancy and spike counts accumulate as playback
+// advances; negative dt / count remove samples again.
+export function createTuningCurves(binCount, unitIds) {
+  const occupancy = new Float64Array(binCount);
+  const spikes = new Map(unitIds.map(id => [id, new Float64Array(binCount)]));
+  const binOf = heading => {
+    if (Number.isNaN(heading)) return -1;
+    const bin = Math.floor(((wrapAngle(heading) + Math.PI) / (2 * Math.PI)) * binCount);
+    return Math.min(bin, binCount - 1);
+  };
+
+  return {
+    binCount,
+
+    addOccupancy(heading, dt) {
+      const bin = binOf(heading);
+      if (bin >= 0) occupancy[bin] += dt;
+    },
+
+    addSpike(id, heading, count = 1) {
+      const counts = spikes.get(id);
+      const bin = binOf(heading);
+      if (counts && bin >= 0) counts[bin] += count;
+    },
+
+    // Rates in Hz per unit, bin i centred on heading -π + (i + 0.5) · 2π / binCount.
+    // Bins visited for less than `minOccupancy` seconds are NaN.
+    compute(minOccupancy) {
+      const curves = new Map();
+      let peak = 0;
+      for (const [id, counts] of spikes) {
+        const rates = new Float32Array(binCount);
+        for (let i = 0; i < binCount; i++) {
+          rates[i] = occupancy[i] >= minOccupancy && occupancy[i] > 0 ? counts[i] / occupancy[i] : NaN;
+          if (rates[i] > peak) peak = rates[i];
+        }
+        curves.set(id, rates);
+      }
+      return { curves, peak };
+    },
+  };
+}
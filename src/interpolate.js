@@ -0,0 +1,76 @@
+import * as THREE from 'three';
+import { sampleIndexAt } from './search.js';
+import { isValidPoint } from './gaps.js';
+
+// Sampling of timestamped streams at arbitrary times, either frame-exact
+// (the sample in effect at that time) or interpolated between neighbours.
+
+// Fractional position of `time` within a stream: the sample in effect, the
+// following sample and the fraction of the way between them.
+export function samplePosition(times, time) {
+  const index = sampleIndexAt(times, time);
+  const next = Math.min(index + 1, times.length - 1);
+  const span = times[next] - times[index];
+  const t = span > 0 ? THREE.MathUtils.clamp((time - times[index]) / span, 0, 1) : 0;
+  return { index, next, t };
+}
+
+// Position at `time`, linearly interpolated unless `interpolate` is false.
+// Samples next to a gap are not interpolated, so gaps keep their extent.
+export function pointAt(points, times, time, interpolate) {
+  const { index, next, t } = samplePosition(times, time);
+  const a = points[index];
+  if (!interpolate || t === 0 || next === index) return a;
+  const b = points[next];
+  if (!isValidPoint(a) || !isValidPoint(b)) return a;
+  return {
+    x: a.x + (b.x - a.x) * t,
+    y: a.y + (b.y - a.y) * t,
+    z: a.z + (b.z - a.z) * t,
+    filled: a.filled || b.filled,
+  };
+}
+
+const qa = new THREE.Quaternion();
+const qb = new THREE.Quaternion();
+
+// Rotation at `time` written into `target`, slerped unless `interpolate` is
+// false. Returns false if the sample is missing.
+export function quaternionAt(quats, times, time, interpolate, target) {
+  const { index, next, t } = samplePosition(times, time);
+  const a = quats[index];
+  if (!Number.isFinite(a.w)) return false;
+  qa.set(a.x, a.y, a.z, a.w);
+  const b = quats[next];
+  if (interpolate && t > 0 && Number.isFinite(b.w)) {
+    qb.set(b.x, b.y, b.z, b.w);
+    target.slerpQuaternions(qa, qb, t);
+  } else {
+    target.copy(qa);
+  }
+  return true;
+}
+
+// Angle (radians) at `time`, interpolated the short way round unless
+// `interpolate` is false. NaN samples are not interpolated.
+export function angleAt(angles, times, time, interpolate) {
+  const { index, next, t } = samplePosition(times, time);
+  const a = angles[index];
+  if (!interpolate || t === 0 || Number.isNaN(a) || Number.isNaN(angles[next])) return a;
+  const diff = THREE.MathUtils.euclideanModulo(angles[next] - a + Math.PI, 2 * Math.PI) - Math.PI;
+  return a + diff * t;
+}
+
+// Speed (units per second) at `time` from the sample in effect and the next
+// one (or the previous one at the end of the stream). NaN if either is missing.
+export function speedAt(points, times, time) {
+  const { index, next } = samplePosition(times, time);
+  const from = next > index ? index : index - 1;
+  const to = next > index ? next : index;
+  if (from < 0) return NaN;
+  const a = points[from];
+  const b = points[to];
+  const dt = times[to] - times[from];
+  if (!isValidPoint(a) || !isValidPoint(b) || !(dt > 0)) return NaN;
+  return Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z) / dt;
+}
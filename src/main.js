@@ -1,183 +1,761 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import * as dat from 'dat.gui';
-import { Line2 } from 'three/examples/jsm/lines/Line2.js';
 import { LineGeometry } from 'three/examples/jsm/lines/LineGeometry.js';
 import { LineMaterial } from 'three/examples/jsm/lines/LineMaterial.js';
 import { LineSegments2 } from 'three/examples/jsm/lines/LineSegments2.js';
+import {
+  loadSessionFromFiles, loadSessionFromUrl, loadSpikesFromFiles, manifestUrlFor, parseUnitSelector, selectUnits,
+} from './session.js';
+import { setupDropZone } from './dropzone.js';
+import { FILL_METHODS, fillGaps, isValidPoint } from './gaps.js';
+import { createTransport } from './transport.js';
+import { createRaster } from './raster.js';
+import { createUnitPanel } from './unitPanel.js';
+import { createRateMap, createRateMapTracker } from './placeField.js';
+import { createTuningCurves, headingFromMarkers, headingFromQuaternions, headingVector, wrapAngle } from './headDirection.js';
+import { createPolarPlot } from './polarPlot.js';
+import { createSpikeDots } from './spikeDots.js';
+import { TRAIL_FADES, createTrail } from './trails.js';
+import { BLOOM_LAYER, createSelectiveBloom } from './bloom.js';
+import { defaultCameras } from './calibration.js';
+import { createCameraRig } from './cameraRig.js';
+import { EXPORT_FORMATS, exportFrames, formatKeepsAlpha } from './videoExport.js';
+import { PRESET_VIEWS, createTransition, eyePose, presetPose, trackingCameraPose } from './cameraViews.js';
+import { decodeViewState, deleteBookmark, encodeViewState, loadBookmarks, saveBookmark } from './viewState.js';
+import { applyPreset, capturePreset, controllerFor, parsePreset } from './presets.js';
+import { readFileAsText } from './files.js';
+import { createMeasurement } from './measure.js';
+import { sampleIndexAt, sweepTo, upperBound } from './search.js';
+import { angleAt, pointAt, quaternionAt, speedAt } from './interpolate.js';
 
-// Playback controls via dat.GUI.
+// Playback controls via dat.GUI and the transport bar.
 const playbackControls = {
   restart: restartAnimation,
+  playing: true,
+  reverse: false,
   playbackSpeed: 1.0,
+  interpolate: true,          // Off for frame-exact inspection.
+  loop: false,
 };
 
-const DITHER_AMOUNT = 0.05;
-const SHOW_FOV_CONES = true;
-const LOOP_PLAYBACK = false;
-const SHOW_TRAIL = false;
-
 const urlParams = new URLSearchParams(window.location.search);
 const transparentBg = Boolean(parseInt(urlParams.get("transparent"))) || false;
 
 const gui = new dat.GUI();
-gui.add(playbackControls, 'restart').name('Restart Animation');
-gui.add(playbackControls, 'playbackSpeed', 1, 10.0).name('Playback Speed');
-
-// Define which neurons to display and assign colors.
-const SELECTED_NEURONS = [60, 61];
-const neuronColors = {};
-SELECTED_NEURONS.forEach((id, i) => {
-  const hue = i * (360 / SELECTED_NEURONS.length);
-  const color = new THREE.Color();
-  color.setHSL(hue / 360, 1, 0.5);
-  neuronColors[id] = color;
+const playbackFolder = gui.addFolder('Playback');
+playbackFolder.add(playbackControls, 'restart').name('Restart Animation');
+playbackFolder.add(playbackControls, 'playbackSpeed', 0.1, 10.0).name('Playback Speed').listen();
+playbackFolder.add(playbackControls, 'interpolate').name('Interpolate Samples');
+playbackFolder.add(playbackControls, 'loop').name('Loop');
+
+// Every display setting below can be saved to and loaded from a JSON preset
+// (see presets.js and PRESET_SECTIONS).
+const presetControls = {
+  save: savePreset,
+  load: () => presetInput.click(),
+};
+const presetInput = document.createElement('input');
+presetInput.type = 'file';
+presetInput.accept = '.json,application/json';
+presetInput.addEventListener('change', () => {
+  const file = presetInput.files[0];
+  presetInput.value = '';
+  if (file) loadPreset(file);
+});
+gui.add(presetControls, 'save').name('Save Preset');
+gui.add(presetControls, 'load').name('Load Preset');
+
+// Bottom panel: spike raster above the transport bar. The 3D view takes the
+// rest of the window.
+const bottomPanel = document.createElement('div');
+bottomPanel.id = 'bottom';
+document.body.appendChild(bottomPanel);
+
+const rasterControls = {
+  show: true,
+  window: 5,                  // Seconds either side of the playhead.
+};
+const raster = createRaster(bottomPanel, { onSeek: seekToTime });
+const rasterFolder = gui.addFolder('Raster');
+rasterFolder.add(rasterControls, 'show').name('Show Raster').onChange(show => {
+  raster.setVisible(show);
+  onWindowResize();
+});
+rasterFolder.add(rasterControls, 'window', 0.5, 30).name('Window ± (s)');
+
+const transport = createTransport(bottomPanel, {
+  onTogglePlay: togglePlay,
+  onStep: stepFrames,
+  onToggleReverse: () => { playbackControls.reverse = !playbackControls.reverse; },
+  onSpeed: speed => { playbackControls.playbackSpeed = speed; },
+  onSeek: seekToTime,
+});
+
+// Gap handling: how occluded markers are drawn and whether short gaps are
+// interpolated (maxGap in seconds).
+const gapControls = {
+  display: 'ghost',
+  fill: 'none',
+  maxGap: 0.25,
+};
+const gapFolder = gui.addFolder('Gaps');
+gapFolder.add(gapControls, 'display', ['hide', 'ghost']).name('Missing Markers');
+gapFolder.add(gapControls, 'fill', FILL_METHODS).name('Fill Method').onChange(applyGapFilling);
+gapFolder.add(gapControls, 'maxGap', 0, 2.0).name('Max Gap (s)').onFinishChange(applyGapFilling);
+
+// Marker appearance. Missing markers are ghosted at ghostOpacity and
+// gap-filled ones drawn in filledColor. Segment colours start from the
+// session's skeleton and can be changed in the Colors subfolder, which is
+// rebuilt for each session.
+const markerControls = {
+  size: 0.01,                 // m
+  lineWidth: 2,               // px
+  ghostOpacity: 0.25,
+  filledColor: '#ff66ff',
+};
+const segmentColors = {};     // Segment name -> marker colour, "<name> lines" -> line colour.
+const markerFolder = gui.addFolder('Markers');
+markerFolder.add(markerControls, 'size', 0.002, 0.05).name('Size (m)').onChange(resizeTrackedPoints);
+markerFolder.add(markerControls, 'lineWidth', 0.5, 10).name('Line Width').onChange(width => {
+  skeletonLines.forEach(line => { line.material.linewidth = width; });
+});
+markerFolder.add(markerControls, 'ghostOpacity', 0, 1).name('Ghost Opacity');
+markerFolder.addColor(markerControls, 'filledColor').name('Filled Color');
+const markerColorFolder = markerFolder.addFolder('Colors');
+let markerColorControllers = [];
+
+// The rigid-body sphere; its colour is shared by its trail and heading arrow.
+const rigidBodyControls = {
+  size: 0.015,                // m
+  color: '#ffa500',
+};
+const rigidBodyFolder = gui.addFolder('Rigid Body');
+rigidBodyFolder.add(rigidBodyControls, 'size', 0.002, 0.05).name('Size (m)').onChange(resizeTrackedPoints);
+rigidBodyFolder.addColor(rigidBodyControls, 'color').name('Color').onChange(recolorRigidBody);
+
+// Spike dots: keep all, only the last `window` seconds (fading out by age),
+// or a window either side of the playhead. Dots are drawn from a fixed-size
+// pool; beyond maxDots the oldest are dropped.
+const SPIKE_MODES = ['all', 'recent', 'window'];
+const spikeControls = {
+  mode: 'all',
+  window: 10,                 // s
+  maxDots: 20000,
+  emphasisTime: 5,            // s of bounce and shrink after each spike
+  dotSize: 0.016,             // m
+  dither: 0.05,               // m of random offset, so repeated spikes don't overlap
+};
+const spikeFolder = gui.addFolder('Spikes');
+spikeFolder.add(spikeControls, 'mode', SPIKE_MODES).name('Display').onChange(() => seekToTime(currentTime));
+spikeFolder.add(spikeControls, 'window', 0.5, 120).name('Window (s)').onFinishChange(() => seekToTime(currentTime));
+spikeFolder.add(spikeControls, 'maxDots', 1000, 200000).step(1000).name('Max Dots').onFinishChange(() => {
+  createSpikeDotMesh();
+  seekToTime(currentTime);
+});
+spikeFolder.add(spikeControls, 'emphasisTime', 0.1, 20).name('Emphasis (s)').onChange(seconds => {
+  spikeDots.setEmphasisTime(seconds);
+});
+spikeFolder.add(spikeControls, 'dotSize', 0.002, 0.05).name('Dot Size (m)').onFinishChange(() => {
+  createSpikeDotMesh();
+  seekToTime(currentTime);
+});
+spikeFolder.add(spikeControls, 'dither', 0, 0.2).name('Dither (m)').onFinishChange(() => seekToTime(currentTime));
+
+// Fading trails behind the rigid body and any of the markers, covering the
+// last `length` seconds of their streams. Markers are picked in the Markers
+// subfolder, which is rebuilt for each session.
+const trailControls = {
+  rigidBody: false,
+  length: 2,                  // s
+  fade: 'smooth',
+  colorBySpeed: false,
+  maxSpeed: 0.5,              // m/s at which the speed colour saturates
+};
+const trailMarkers = {};      // Marker name -> trail shown, kept across sessions.
+const trailFolder = gui.addFolder('Trails');
+trailFolder.add(trailControls, 'rigidBody').name('Rigid Body').onChange(createTrails);
+trailFolder.add(trailControls, 'length', 0.1, 30).name('Length (s)').onFinishChange(createTrails);
+trailFolder.add(trailControls, 'fade', TRAIL_FADES).name('Fade');
+trailFolder.add(trailControls, 'colorBySpeed').name('Color by Speed');
+trailFolder.add(trailControls, 'maxSpeed', 0.05, 5).name('Max Speed (m/s)');
+const trailMarkerFolder = trailFolder.addFolder('Markers');
+let trailMarkerControllers = [];
+
+// Selective bloom for presentation renders: spike dots, trails and markers
+// (with the rigid body and skeleton lines) can glow independently.
+const bloomControls = {
+  enabled: false,
+  strength: 1.0,
+  radius: 0.1,
+  threshold: 0.0,
+  spikes: true,
+  trails: true,
+  markers: false,
+};
+const bloomFolder = gui.addFolder('Bloom');
+bloomFolder.add(bloomControls, 'enabled').name('Enable Bloom');
+bloomFolder.add(bloomControls, 'strength', 0, 3).name('Strength');
+bloomFolder.add(bloomControls, 'radius', 0, 1).name('Radius');
+bloomFolder.add(bloomControls, 'threshold', 0, 1).name('Threshold');
+bloomFolder.add(bloomControls, 'spikes').name('Spikes Glow');
+bloomFolder.add(bloomControls, 'trails').name('Trails Glow');
+bloomFolder.add(bloomControls, 'markers').name('Markers Glow');
+
+// Tracking cameras, at their calibrated poses when the session has a
+// calibration. The cameras whose frustum contains the highlighted marker are
+// shown in green with a ray to it.
+const cameraControls = {
+  showFrustums: true,
+  highlightMarker: 'none',
+  iconScale: 0.5,
+  frustumOpacity: 0.1,
+};
+const cameraFolder = gui.addFolder('Cameras');
+cameraFolder.add(cameraControls, 'showFrustums').name('Show Frustums').onChange(show => {
+  cameraRig.setFrustumsVisible(show);
+});
+let highlightMarkerController = cameraFolder.add(cameraControls, 'highlightMarker', ['none']).name('Seen Marker');
+cameraFolder.add(cameraControls, 'iconScale', 0.1, 2).name('Icon Size').onChange(() => setCameraRig(rigCameras));
+cameraFolder.add(cameraControls, 'frustumOpacity', 0, 1).name('Frustum Opacity').onChange(() => setCameraRig(rigCameras));
+
+// Arena geometry from the session, and the floor grid under it. Without an
+// arena the floor is a FLOOR_SIZE square around the origin.
+const FLOOR_SIZE = 1.5;
+const FLOOR_CELL = 0.15;
+const arenaControls = {
+  show: true,
+};
+const arenaFolder = gui.addFolder('Arena');
+arenaFolder.add(arenaControls, 'show').name('Show Arena').onChange(show => {
+  if (arena) arena.visible = show;
+});
+
+// Background (ignored with ?transparent=1), floor grid and camera lens.
+const sceneControls = {
+  background: '#000000',
+  showFloor: true,
+  floorColor: '#555555',
+  fov: 75,                    // degrees, vertical
+};
+const sceneFolder = gui.addFolder('Scene');
+sceneFolder.addColor(sceneControls, 'background').name('Background').onChange(applySceneSettings);
+sceneFolder.add(sceneControls, 'showFloor').name('Show Floor').onChange(applySceneSettings);
+sceneFolder.addColor(sceneControls, 'floorColor').name('Floor Color').onChange(applySceneSettings);
+sceneFolder.add(sceneControls, 'fov', 20, 120).name('Field of View').onChange(applySceneSettings);
+
+// Place-field heatmap on the floor for one of the selected units.
+const placeFieldControls = {
+  show: false,
+  unit: '',
+  binSize: 0.05,              // m
+  smoothing: 1.5,             // Gaussian sigma, in bins
+  minOccupancy: 0.2,          // s
+};
+const placeFieldFolder = gui.addFolder('Place Field');
+placeFieldFolder.add(placeFieldControls, 'show').name('Show Rate Map').onChange(resetPlaceField);
+let placeFieldUnitController = placeFieldFolder.add(placeFieldControls, 'unit', []).name('Unit');
+placeFieldFolder.add(placeFieldControls, 'binSize', 0.01, 0.2).name('Bin Size (m)').onFinishChange(resetPlaceField);
+placeFieldFolder.add(placeFieldControls, 'smoothing', 0, 5).name('Smoothing (bins)').onChange(() => { placeFieldDirty = true; });
+placeFieldFolder.add(placeFieldControls, 'minOccupancy', 0, 2).name('Min Occupancy (s)').onChange(() => { placeFieldDirty = true; });
+
+// Head direction: a heading arrow on the rigid body and polar tuning curves
+// for the selected units. The heading comes from the rigid-body quaternions
+// (local +x is forward) or from the markers of the skeleton's rigid-body
+// segment; `offset` rotates it to the animal's actual nose direction.
+const headingControls = {
+  source: 'auto',             // 'auto' uses quaternions when the session has them.
+  offset: 0,                  // degrees
+  showArrow: true,
+  showTuning: false,
+  bins: 36,
+  minOccupancy: 0.5,          // s
+};
+const tuningPlot = createPolarPlot(bottomPanel);
+tuningPlot.setVisible(false);
+const headingFolder = gui.addFolder('Head Direction');
+headingFolder.add(headingControls, 'source', ['auto', 'rotation', 'markers']).name('Source').onChange(updateHeadings);
+headingFolder.add(headingControls, 'offset', -180, 180).step(1).name('Offset (deg)').onFinishChange(updateHeadings);
+headingFolder.add(headingControls, 'showArrow').name('Show Arrow');
+headingFolder.add(headingControls, 'showTuning').name('Show Tuning').onChange(show => {
+  tuningPlot.setVisible(show);
+  resetTuning();
 });
+headingFolder.add(headingControls, 'bins', 8, 72).step(1).name('Bins').onFinishChange(resetTuning);
+headingFolder.add(headingControls, 'minOccupancy', 0, 5).name('Min Occupancy (s)').onChange(() => { tuningDirty = true; });
+
+// Measuring between markers: with the tool on, clicking a marker adds it to
+// (or removes it from) the selection; see measure.js.
+const measureControls = {
+  enabled: false,
+  clear: () => measurement.clear(),
+};
+const measureFolder = gui.addFolder('Measure');
+measureFolder.add(measureControls, 'enabled').name('Pick Markers');
+measureFolder.add(measureControls, 'clear').name('Clear Selection');
+// The readout sits above the bottom panel, clear of the unit list.
+const measureReadout = document.createElement('div');
+measureReadout.id = 'measure';
+bottomPanel.appendChild(measureReadout);
+
+// Where the 3D view looks from (see cameraViews.js): preset views, with the
+// top view orthographic, the tracking cameras' own viewpoints, following the
+// rigid body, or the animal's-eye view from the rigid-body pose. Moves between
+// them are animated over transitionTime.
+const NO_VIEW = '—';
+const VIEWPOINT_MODES = ['orbit', 'follow', 'first person'];
+const viewpointControls = {
+  view: NO_VIEW,
+  mode: 'orbit',
+  followSmoothing: 0.3,       // s
+  eyeHeight: 0.03,            // m above the rigid body
+  transitionTime: 1,          // s
+};
+const viewpointFolder = gui.addFolder('Viewpoint');
+let viewController = viewpointFolder.add(viewpointControls, 'view', [NO_VIEW]).name('Go To');
+viewpointFolder.add(viewpointControls, 'mode', VIEWPOINT_MODES).name('Mode').onChange(setViewpointMode);
+viewpointFolder.add(viewpointControls, 'followSmoothing', 0, 2).name('Follow Smoothing (s)');
+viewpointFolder.add(viewpointControls, 'eyeHeight', 0, 0.2).name('Eye Height (m)');
+viewpointFolder.add(viewpointControls, 'transitionTime', 0, 5).name('Transition (s)');
+
+// Offline export of a time range (seconds from the session start), rendered
+// frame by frame at a fixed rate instead of in real time. With a transparent
+// background only formats with an alpha channel are offered.
+const exportFormats = EXPORT_FORMATS.filter(format => !transparentBg || formatKeepsAlpha(format));
+const exportControls = {
+  from: 0,
+  to: 0,
+  fps: 30,
+  format: exportFormats[0],
+  export: startExport,
+  cancel: () => { if (exportJob) exportJob.cancelled = true; },
+};
+const exportFolder = gui.addFolder('Export');
+const exportFromController = exportFolder.add(exportControls, 'from').min(0).step(0.1).name('From (s)');
+const exportToController = exportFolder.add(exportControls, 'to').min(0).step(0.1).name('To (s)');
+exportFolder.add(exportControls, 'fps', [24, 25, 30, 50, 60]).name('Frame Rate');
+exportFolder.add(exportControls, 'format', exportFormats).name('Format');
+exportFolder.add(exportControls, 'export').name('Export');
+exportFolder.add(exportControls, 'cancel').name('Cancel Export');
+
+// Shareable view state (see viewState.js). The URL hash is applied once the
+// session has loaded and whenever it changes; Share Link writes the current
+// view into it. Bookmarks are saved views of the current session. Display
+// settings that are part of the view, by hash key:
+const VIEW_SETTINGS = {
+  interpolate: [playbackControls, 'interpolate'],
+  raster: [rasterControls, 'show'],
+  gaps: [gapControls, 'display'],
+  spikes: [spikeControls, 'mode'],
+  spikeWindow: [spikeControls, 'window'],
+  trailRb: [trailControls, 'rigidBody'],
+  trailLength: [trailControls, 'length'],
+  bloom: [bloomControls, 'enabled'],
+  frustums: [cameraControls, 'showFrustums'],
+  arena: [arenaControls, 'show'],
+  placeField: [placeFieldControls, 'show'],
+  placeFieldUnit: [placeFieldControls, 'unit'],
+  arrow: [headingControls, 'showArrow'],
+  tuning: [headingControls, 'showTuning'],
+};
+const viewControls = {
+  share: shareView,
+  name: '',
+  save: saveViewBookmark,
+  bookmark: '',
+  remove: removeViewBookmark,
+};
+const viewFolder = gui.addFolder('View');
+viewFolder.add(viewControls, 'share').name('Share Link');
+viewFolder.add(viewControls, 'name').name('Bookmark Name');
+viewFolder.add(viewControls, 'save').name('Save Bookmark');
+let bookmarkController = viewFolder.add(viewControls, 'bookmark', []).name('Go To');
+viewFolder.add(viewControls, 'remove').name('Delete Bookmark');
+// Preset sections by name; see presets.js.
+const PRESET_SECTIONS = {
+  playback: playbackControls,
+  raster: rasterControls,
+  gaps: gapControls,
+  markers: markerControls,
+  markerColors: segmentColors,
+  rigidBody: rigidBodyControls,
+  spikes: spikeControls,
+  trails: trailControls,
+  trailMarkers,
+  bloom: bloomControls,
+  cameras: cameraControls,
+  arena: arenaControls,
+  scene: sceneControls,
+  placeField: placeFieldControls,
+  headDirection: headingControls,
+};
+
+let pendingView = window.location.hash.length > 1 ? decodeViewState(window.location.hash) : null;
+window.addEventListener('hashchange', () => applyViewState(decodeViewState(window.location.hash)));
+
+// Define which neurons to display and assign colors. The selection can be
+// overridden per session ("selectedNeurons" in the manifest) or with
+// ?units=60,61 / ?units=quality:good in the URL, and changed at runtime in the
+// unit panel.
+const DEFAULT_NEURONS = [60, 61];
+let selectedNeurons = [];
+let neuronColors = {};      // Colors of the selected units.
+let unitColors = {};        // Every color assigned so far, kept across toggles.
+
+const unitPanel = createUnitPanel(document.body, {
+  onToggle: setNeuronSelected,
+  onColor: setNeuronColor,
+  onSelect: ids => {
+    selectedNeurons = ids;
+    updateNeuronColors();
+    seekToTime(currentTime); // rebuild the spike dots
+  },
+});
+
+// Start a new selection with evenly spaced hues.
+function setSelectedNeurons(ids) {
+  selectedNeurons = ids.slice();
+  unitColors = {};
+  selectedNeurons.forEach((id, i) => {
+    const hue = i * (360 / selectedNeurons.length);
+    const color = new THREE.Color();
+    color.setHSL(hue / 360, 1, 0.5);
+    unitColors[id] = color;
+  });
+  updateNeuronColors();
+}
+
+// Units added later get hues spaced by the golden angle so they stay distinct.
+function updateNeuronColors() {
+  neuronColors = {};
+  selectedNeurons.forEach(id => {
+    if (!unitColors[id]) {
+      const n = Object.keys(unitColors).length;
+      unitColors[id] = new THREE.Color().setHSL((n * 0.381966) % 1, 1, 0.5);
+    }
+    neuronColors[id] = unitColors[id];
+  });
+  unitPanel.refresh(selectedNeurons, unitColors);
+  updatePlaceFieldUnits();
+  resetTuning();
+}
+
+// Show or hide one unit, adding or removing only its spike dots.
+function setNeuronSelected(id, selected) {
+  if (selected === selectedNeurons.includes(id)) return;
+  selectedNeurons = selected ? selectedNeurons.concat(id) : selectedNeurons.filter(n => n !== id);
+  updateNeuronColors();
+  const records = spikeDots.records().filter(dot => dot.neuronId !== id);
+  if (selected && rbposData.length > 0) {
+    for (let k = spikeFirst; k < spikeIndex; k++) {
+      if (spikeNeurons[k] !== id) continue;
+      const record = spikeDotRecord(k);
+      if (record) records.push(record);
+    }
+    // Keep dots in spike order; reverse playback removes them from the end.
+    records.sort((a, b) => a.spikeIndex - b.spikeIndex);
+  }
+  spikeDots.load(records);
+}
+
+function setNeuronColor(id, hex) {
+  if (!unitColors[id]) unitColors[id] = new THREE.Color();
+  unitColors[id].set(hex);
+  updateNeuronColors();
+  spikeDots.setNeuronColor(id, unitColors[id]);
+}
+
+// Unit list entries with mean firing rate over the session.
+function refreshUnitList() {
+  const duration = Math.max(endTime - startTime, 1e-9);
+  const units = session.units.map(unit => ({ ...unit, rate: unit.spikeCount / duration }));
+  unitPanel.setUnits(units, selectedNeurons, unitColors);
+}
+
+// Units to show when a session loads: ?units=, else the manifest's selection,
+// else the defaults. Checked before anything is applied; a bad ?units= falls
+// back to all units, with the error to show in the status line.
+function initialUnits(units, manifest) {
+  const param = urlParams.get('units');
+  if (!param) return { ids: selectUnits(units, (manifest && manifest.selectedNeurons) || DEFAULT_NEURONS), error: null };
+  try {
+    return { ids: selectUnits(units, parseUnitSelector(param)), error: null };
+  } catch (err) {
+    return { ids: units.map(unit => unit.id), error: `${err.message}; showing all units` };
+  }
+}
 
 // Global scene variables.
 let scene, camera, renderer, controls;
+let perspectiveCamera, orthoCamera;  // `camera` is whichever of the two is in use.
+let bloom;
 let markers = [];           // Spheres for each marker.
-let markerData = [];        // 8 arrays, one per marker.
-const maxTrailLength = 240;
+let markerData = [];        // One array of {x, y, z} samples per marker.
 
 // For tracking state
 // let deltaAccumulator = 0;
 const MAX_DELTA = 0.1; // Maximum delta to consider valid
-let lastSampleIndex = 0;    // used within animate() only
-let currentSample = 0;      // global frame counter
-let rbPos;                  // current rigid-body position
+let currentTime = 0;        // master playback clock, in session seconds
 
-// Spike and rigid-body data.
-let frameTimes = [];
+// Session data (see session.js). Each sampled stream has its own timestamps
+// and is looked up by time, so streams may differ in rate and sample count.
+let session = null;
+let startTime = 0;          // First and last timestamp over all streams.
+let endTime = 0;
+let frameTimes = [];        // Marker timestamps.
 let spikeTimes = [];
 let spikeNeurons = [];
 let rbposData = [];
+let rbTimes = [];
+let rbRotData = [];         // Rigid-body quaternions, if the session has them.
+let rbRotTimes = [];
+let spikeFirst = 0;         // Spike dots cover spikes [spikeFirst, spikeIndex).
 let spikeIndex = 0;
-let spikeGroup;
+let spikeDots;
 
 // Rigid-body objects.
 let rbSphere;               // The orange sphere.
-let rbTrail;                // Rigid-body trail using fat line.
-let rbTrailPositions;       // Flat array of numbers.
-let rbTrailProgress;        // Flat array of progress values.
-let rbTrailCount = 0;
 
 // Connection lines.
-let backLine1, backLine2;   // Fat lines for back marker connections.
-let rbConnLines;            // Fat line segments for rigid-body marker connections.
+let skeletonLines = [];     // One fat line-segments object per skeleton segment.
 
 function restartAnimation() {
-  currentSample = 0;
-  spikeIndex = 0;
-  lastSampleIndex = 0;
-  rbTrailCount = 0;
-  if (spikeGroup.clear) {
-    spikeGroup.clear();
-  } else {
-    while (spikeGroup.children.length > 0) {
-      spikeGroup.remove(spikeGroup.children[0]);
+  seekToTime(startTime);
+}
+
+// Jump to a session time, rebuilding the spike dots for everything up to that
+// point instead of replaying from zero.
+function seekToTime(time) {
+  currentTime = THREE.MathUtils.clamp(time, startTime, endTime);
+  trails.forEach(trail => trail.reset());
+  rebuildSpikeDots();
+}
+
+// Reload the spike dots for the window around the current time.
+function rebuildSpikeDots() {
+  const { behind, ahead } = spikeWindow();
+  spikeFirst = upperBound(spikeTimes, currentTime - behind);
+  spikeIndex = upperBound(spikeTimes, currentTime + ahead);
+  const records = [];
+  if (rbposData.length > 0) {
+    // Only the newest spikes fit; older ones would be overwritten anyway.
+    for (let k = spikeIndex - 1; k >= spikeFirst && records.length < spikeDots.capacity; k--) {
+      if (!selectedNeurons.includes(spikeNeurons[k])) continue;
+      const record = spikeDotRecord(k);
+      if (record) records.push(record);
     }
   }
+  spikeDots.load(records.reverse());
 }
 
-// ----- New: Create a FOV cone with graded (inverse-square) falloff -----
-function createFOVCone(fov, height) {
-  const radius = height * Math.tan(THREE.MathUtils.degToRad(fov / 2));
-  const geometry = new THREE.ConeGeometry(radius, height, 32, 1, true);
-  geometry.translate(0, -height / 2, 0);
-  const material = new THREE.ShaderMaterial({
-    uniforms: {
-      diffuse: { value: new THREE.Color(0xffffff) },
-      opacity: { value: 0.1 },
-      falloffScale: { value: 20 }
-    },
-    vertexShader: `
-      varying float vDist;
-      void main() {
-        vDist = abs(position.y);
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-      }
-    `,
-    fragmentShader: `
-      uniform vec3 diffuse;
-      uniform float opacity;
-      uniform float falloffScale;
-      varying float vDist;
-      void main() {
-        float intensity;
-        if (vDist < 0.05) {
-            intensity = 0.0;
-        } else {
-            intensity = 1.0 / (vDist * vDist * falloffScale);
-            intensity = clamp(intensity, 0.0, 1.0);
-        }
-        gl_FragColor = vec4(diffuse, opacity * intensity);
-      }
-    `,
-    transparent: true,
-    depthWrite: false,
-    side: THREE.DoubleSide
+function togglePlay() {
+  // Pressing play at the end of the recording starts it over.
+  const atEnd = playbackControls.reverse ? currentTime <= startTime : currentTime >= endTime;
+  if (!playbackControls.playing && atEnd) {
+    seekToTime(playbackControls.reverse ? endTime : startTime);
+  }
+  playbackControls.playing = !playbackControls.playing;
+}
+
+// Step by whole marker frames. Between frames (after a scrub or while
+// interpolating), the frame just before counts as the first step back.
+function stepFrames(frames) {
+  playbackControls.playing = false;
+  if (frameTimes.length === 0) return;
+  const before = upperBound(frameTimes, currentTime) - 1;
+  const onFrame = before >= 0 && frameTimes[before] === currentTime;
+  const from = frames < 0 && !onFrame ? before + 1 : before;
+  const index = THREE.MathUtils.clamp(from + frames, 0, frameTimes.length - 1);
+  seekToTime(frameTimes[index]);
+}
+
+function createSpikeDotMesh() {
+  if (spikeDots) {
+    scene.remove(spikeDots.mesh);
+    spikeDots.dispose();
+  }
+  spikeDots = createSpikeDots(spikeControls.maxDots, {
+    emphasisTime: spikeControls.emphasisTime,
+    radius: spikeControls.dotSize,
   });
-  return new THREE.Mesh(geometry, material);
-}
-
-// --- Add Camera Icons (unchanged) ---
-function addCameraIcons() {
-  const numCams = 6;
-  const ringRadius = 1.0;
-  const camHeight = 1.0;
-  const camGroup = new THREE.Group();
-  const camScale = 0.5;
-  const cameraFOV = 60;
-
-  for (let i = 0; i < numCams; i++) {
-    const angle = i * (2 * Math.PI / numCams);
-    const x = ringRadius * Math.cos(angle);
-    const z = ringRadius * Math.sin(angle);
-    const camIcon = new THREE.Group();
-    const bodyGeom = new THREE.BoxGeometry(0.2 * camScale, 0.15 * camScale, 0.1 * camScale);
-    const bodyMat = new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true, transparent: true, opacity: 0.5 });
-    camIcon.add(new THREE.Mesh(bodyGeom, bodyMat));
-    const lensGeom = new THREE.ConeGeometry(0.06 * camScale, 0.1 * camScale, 20);
-    const lensMat = new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true, transparent: true, opacity: 0.5 });
-    const lensMesh = new THREE.Mesh(lensGeom, lensMat);
-    lensMesh.position.set(0, 0, 0.05 * camScale);
-    lensMesh.rotation.x = Math.PI * 3 / 2;
-    camIcon.add(lensMesh);
-    camIcon.position.set(x, camHeight, z);
-    camIcon.lookAt(new THREE.Vector3(0, 0, 0));
-
-    // Add the light cone effect
-    // Example: Add a FOV cone to a camera icon.
-    if (SHOW_FOV_CONES) {
-        // const cameraFOV = 60;  // Field of view in degrees.
-        const coneHeight = 1.0;  // Desired length of the cone.
-        const fovCone = createFOVCone(cameraFOV, coneHeight);
-    
-        // Position the cone so that its tip is at the camera's location.
-        // For example, if your camera icon faces -Z, you might rotate the cone:
-        fovCone.rotation.x = Math.PI * 3 / 2;  // Flip it so the cone points forward.
-        fovCone.position.set(0, 0, 0.005 * camScale);  // Adjust as needed.
-        camIcon.add(fovCone);
+  scene.add(spikeDots.mesh);
+}
+
+// --- Arena and Floor ---
+let arena = null;
+let floor = null;
+let floorBounds = null;        // { minX, maxX, minZ, maxZ } in scene metres.
+
+function setArena(loaded) {
+  if (arena) {
+    scene.remove(arena);
+    arena.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+  arena = loaded ? loaded.group : null;
+  if (arena) {
+    arena.visible = arenaControls.show;
+    scene.add(arena);
+  }
+  const half = FLOOR_SIZE / 2;
+  setFloor(loaded && loaded.bounds ? loaded.bounds : { minX: -half, maxX: half, minZ: -half, maxZ: half });
+}
+
+// Wireframe grid covering the floor bounds in cells of about FLOOR_CELL.
+function setFloor(bounds) {
+  if (floor) {
+    scene.remove(floor);
+    floor.geometry.dispose();
+    floor.material.dispose();
+  }
+  floorBounds = bounds;
+  const width = bounds.maxX - bounds.minX;
+  const depth = bounds.maxZ - bounds.minZ;
+  floor = new THREE.Mesh(
+    new THREE.PlaneGeometry(
+      width, depth,
+      Math.max(1, Math.round(width / FLOOR_CELL)), Math.max(1, Math.round(depth / FLOOR_CELL))
+    ),
+    new THREE.MeshBasicMaterial({ color: sceneControls.floorColor, wireframe: true })
+  );
+  floor.visible = sceneControls.showFloor;
+  floor.rotation.x = -Math.PI / 2;
+  floor.position.set((bounds.minX + bounds.maxX) / 2, 0, (bounds.minZ + bounds.maxZ) / 2);
+  scene.add(floor);
+}
+
+// --- Camera Rig ---
+let cameraRig;
+let rigCameras = [];
+
+function setCameraRig(cameras) {
+  if (cameraRig) {
+    scene.remove(cameraRig.group);
+    cameraRig.dispose();
+  }
+  rigCameras = cameras;
+  cameraRig = createCameraRig(cameras, cameraControls);
+  cameraRig.setFrustumsVisible(cameraControls.showFrustums);
+  scene.add(cameraRig.group);
+  viewpointControls.view = NO_VIEW;
+  viewController = viewController.options([NO_VIEW, ...PRESET_VIEWS, ...cameras.map(c => c.label)])
+    .name('Go To')
+    .onChange(goToView);
+}
+
+function updateCameraHighlight() {
+  const index = session ? session.markerNames.indexOf(cameraControls.highlightMarker) : -1;
+  const marker = markers[index];
+  cameraRig.highlightVisibleFrom(marker && marker.userData.valid ? marker.position : null);
+}
+
+// --- Picking ---
+// Hovering over a marker, the rigid body, a spike dot or a tracking camera
+// shows what it is; clicking a spike seeks to it, and clicking a marker picks
+// it for measuring.
+const raycaster = new THREE.Raycaster();
+const CLICK_SLOP = 4;         // px of pointer movement still counted as a click.
+let pointerDownAt = null;
+let measurement;
+
+// The object under the pointer as { kind: 'marker' | 'rigidBody' | 'spike' |
+// 'camera', ... }, or null.
+function pick(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const pointer = new THREE.Vector2(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  raycaster.setFromCamera(pointer, camera);
+  const candidates = [...markers, rbSphere, spikeDots.mesh, ...cameraRig.pickables].filter(obj => obj && obj.visible);
+  for (const hit of raycaster.intersectObjects(candidates, false)) {
+    if (hit.object === spikeDots.mesh) {
+      const dot = spikeDots.dotAt(hit.instanceId);
+      if (dot) return { kind: 'spike', ...dot };
+    } else if (hit.object === rbSphere) {
+      return { kind: 'rigidBody' };
+    } else if (markers.includes(hit.object)) {
+      return { kind: 'marker', index: markers.indexOf(hit.object) };
+    } else {
+      return { kind: 'camera', camera: hit.object.userData.camera };
     }
+  }
+  return null;
+}
 
-    camGroup.add(camIcon);
+function describePick(picked) {
+  const describePoint = (mesh, points, times) => {
+    if (!mesh.userData.valid) return 'not tracked';
+    const { x, y, z } = mesh.position;
+    const speed = speedAt(points, times, currentTime);
+    return `(${x.toFixed(3)}, ${y.toFixed(3)}, ${z.toFixed(3)}) m\n`
+      + `speed ${Number.isNaN(speed) ? '–' : `${speed.toFixed(3)} m/s`}`;
+  };
+  switch (picked.kind) {
+    case 'marker':
+      return `${session.markerNames[picked.index]} (#${picked.index})\n`
+        + describePoint(markers[picked.index], markerData[picked.index], frameTimes)
+        + (measureControls.enabled ? '\nclick to measure' : '');
+    case 'rigidBody':
+      return `Rigid body\n${describePoint(rbSphere, rbposData, rbTimes)}`;
+    case 'spike':
+      return `Unit ${picked.neuronId}\nspike at ${(spikeTimes[picked.spikeIndex] - startTime).toFixed(3)} s\nclick to seek`;
+    default: {
+      const { label, serial, hfov, vfov } = picked.camera;
+      return `${label}${serial ? ` (${serial})` : ''}\nFOV ${hfov.toFixed(1)}° × ${vfov.toFixed(1)}°`;
+    }
   }
-  scene.add(camGroup);
+}
+
+function onPointerMove(event) {
+  const picked = pick(event);
+  const tooltip = document.getElementById('tooltip');
+  tooltip.style.display = picked ? 'block' : 'none';
+  const clickable = picked && (picked.kind === 'spike' || (picked.kind === 'marker' && measureControls.enabled));
+  renderer.domElement.style.cursor = clickable ? 'pointer' : '';
+  if (!picked) return;
+  tooltip.textContent = describePick(picked);
+  tooltip.style.left = `${event.clientX + 12}px`;
+  tooltip.style.top = `${event.clientY + 12}px`;
+}
+
+function onClick(event) {
+  // Ignore the end of an orbit drag.
+  if (!pointerDownAt || Math.hypot(event.clientX - pointerDownAt.x, event.clientY - pointerDownAt.y) > CLICK_SLOP) return;
+  const picked = pick(event);
+  if (!picked) return;
+  if (picked.kind === 'spike') {
+    playbackControls.playing = false;
+    seekToTime(spikeTimes[picked.spikeIndex]);
+  } else if (picked.kind === 'marker' && measureControls.enabled) {
+    measurement.toggle(picked.index);
+  }
+}
+
+function updateMeasurement() {
+  const { selection } = measurement;
+  measureReadout.style.display = selection.length > 0 ? 'block' : 'none';
+  if (selection.length === 0) return;
+  const points = selection.map(i => (markers[i].userData.valid ? markers[i].position : null));
+  measureReadout.textContent = measurement.update(points, session.markerNames).join('\n');
 }
 
 // ----- Initialize Scene -----
 function init() {
   scene = new THREE.Scene();
-  // scene.background = new THREE.Color(0x000000);
-  camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+  const size = viewSize();
+  camera = perspectiveCamera = new THREE.PerspectiveCamera(sceneControls.fov, size.x / size.y, 0.1, 1000);
   camera.position.set(0.3, 1.2, 1.5);
+  orthoCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.01, 1000);
   renderer = new THREE.WebGLRenderer({alpha: transparentBg});
-  renderer.setSize(window.innerWidth, window.innerHeight);
+  renderer.setSize(size.x, size.y);
   renderer.setPixelRatio(window.devicePixelRatio);
   document.body.appendChild(renderer.domElement);
   controls = new OrbitControls(camera, renderer.domElement);
   controls.enableDamping = true;
+  bloom = createSelectiveBloom(renderer, scene, camera);
 
   // lighting
   const directionalLight = new THREE.DirectionalLight(0xffffff, 100);
@@ -186,291 +764,596 @@ function init() {
   const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
   scene.add(ambientLight);
   
-  const planeGeo = new THREE.PlaneGeometry(1.5, 1.5, 10, 10);
-  const planeMat = new THREE.MeshBasicMaterial({ color: 0x555555, wireframe: true });
-  const plane = new THREE.Mesh(planeGeo, planeMat);
-  plane.rotation.x = -Math.PI / 2;
-  scene.add(plane);
+  setArena(null);
+  applySceneSettings();
   
-  addCameraIcons();
+  setCameraRig(defaultCameras());
+  renderer.domElement.addEventListener('pointermove', onPointerMove);
+  renderer.domElement.addEventListener('pointerdown', event => {
+    pointerDownAt = { x: event.clientX, y: event.clientY };
+  });
+  renderer.domElement.addEventListener('click', onClick);
+  measurement = createMeasurement();
+  scene.add(measurement.line);
   
-  spikeGroup = new THREE.Group();
-  scene.add(spikeGroup);
+  createSpikeDotMesh();
   
-  // Load marker data.
-  Promise.all([
-    fetch('./markers8_x.bin').then(r => r.arrayBuffer()).then(buffer => new Float32Array(buffer)),
-    fetch('./markers8_y.bin').then(r => r.arrayBuffer()).then(buffer => new Float32Array(buffer)),
-    fetch('./markers8_z.bin').then(r => r.arrayBuffer()).then(buffer => new Float32Array(buffer))
-  ]).then(([xData, yData, zData]) => {
-    const markersCount = 8;
-    const samples = xData.length / markersCount;
-    for (let i = 0; i < markersCount; i++) {
-      markerData[i] = [];
-      for (let j = 0; j < samples; j++) {
-        const idx = j * markersCount + i;
-        markerData[i].push({ x: xData[idx], y: yData[idx], z: zData[idx] });
-      }
-    }
-    // Create marker spheres.
-    for (let i = 0; i < markersCount; i++) {
-      const color = (i < 3) ? 0xffffff : 0x00ff00;
-      const sphere = new THREE.Mesh(
-        new THREE.SphereGeometry(0.01, 16, 16),
-        new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 1.0 })
-      );
-      scene.add(sphere);
-      markers.push(sphere);
-    }
-    createConnectionLines();
-  });
+  const manifestUrl = manifestUrlFor(urlParams.get('session'));
+  showStatus(`Loading ${manifestUrl}…`);
+  loadSessionFromUrl(manifestUrl)
+    .then(applySession)
+    .catch(err => {
+      console.error(err);
+      showStatus(err.message, true);
+    });
   
-  // Load spike and rigid-body data.
-  Promise.all([
-    fetch('./frame_times.bin').then(r => r.arrayBuffer()).then(buffer => new Float32Array(buffer)),
-    fetch('./spike_times.bin').then(r => r.arrayBuffer()).then(buffer => new Float32Array(buffer)),
-    fetch('./spike_neurons.bin').then(r => r.arrayBuffer()).then(buffer => new Uint16Array(buffer)),
-    fetch('./rbpos.bin').then(r => r.arrayBuffer()).then(buffer => new Float32Array(buffer))
-  ]).then(([ftData, stData, snData, rbDataRaw]) => {
-    frameTimes = ftData;
-    spikeTimes = stData;
-    spikeNeurons = snData;
-    const sampleCount = rbDataRaw.length / 3;
-    rbposData = [];
-    for (let i = 0; i < sampleCount; i++) {
-      rbposData.push({
-        x: rbDataRaw[i * 3],
-        y: rbDataRaw[i * 3 + 1],
-        z: rbDataRaw[i * 3 + 2]
+  // Dropping a folder, zip or loose files replaces the current session.
+  setupDropZone(document.body, files => {
+    showStatus(`Reading ${files.size} dropped file(s)…`);
+    return loadSpikesFromFiles(files).then(spikes => {
+      if (spikes) {
+        applySpikes(spikes);
+        return;
+      }
+      return loadSessionFromFiles(files).then(loaded => {
+        clearSession();
+        applySession(loaded);
       });
-    }
-    // Create rigid-body sphere (orange).
-    rbSphere = new THREE.Mesh(
-      new THREE.SphereGeometry(0.015, 16, 16),
-      new THREE.MeshBasicMaterial({ color: 0xffa500 })
-    );
-    scene.add(rbSphere);
-
-    // Create rigid-body trail as a fat line.
-    if (SHOW_TRAIL) {
-        rbTrailPositions = new Array(maxTrailLength * 3).fill(0);
-        const rbTrailGeom = new LineGeometry();
-        rbTrailGeom.setPositions(rbTrailPositions);
-        const rbTrailMat = new LineMaterial({
-          color: 0xffffff,
-          linewidth: 2,
-          resolution: new THREE.Vector2(window.innerWidth, window.innerHeight),
-          transparent: true,
-          opacity: 0.5
-        });
-        rbTrail = new Line2(rbTrailGeom, rbTrailMat);
-        rbTrail.computeLineDistances();
-        scene.add(rbTrail);
-    }
+    });
+  }, err => {
+    console.error(err);
+    showStatus(err.message, true);
   });
   
   window.addEventListener('resize', onWindowResize, false);
 }
 
-function createConnectionLines() {
-  // Back marker connections (markers[0]-[1] and markers[1]-[2]) as fat lines.
-  const backPositions1 = [0, 0, 0, 0, 0, 0];
-  const backGeom1 = new LineGeometry();
-  backGeom1.setPositions(backPositions1);
-  const backMat = new LineMaterial({
-    color: 0xffffff,
-    linewidth: 2,
-    resolution: new THREE.Vector2(window.innerWidth, window.innerHeight),
-    transparent: true,
-  });
-  backLine1 = new Line2(backGeom1, backMat);
-  backLine1.computeLineDistances();
-  scene.add(backLine1);
-  
-  const backPositions2 = [0, 0, 0, 0, 0, 0];
-  const backGeom2 = new LineGeometry();
-  backGeom2.setPositions(backPositions2);
-  backLine2 = new Line2(backGeom2, backMat.clone());
-  backLine2.computeLineDistances();
-  scene.add(backLine2);
-  
-  // Rigid-body connections among markers[3]-[7] as fat line segments.
-  const numRbMarkers = 5;
-  const numSegments = (numRbMarkers * (numRbMarkers - 1)) / 2;
-  const rbConnPositions = new Array(numSegments * 2 * 3).fill(0);
-  const rbConnGeom = new LineGeometry();
-  rbConnGeom.setPositions(rbConnPositions);
-  const rbConnMat = new LineMaterial({
-    color: 0xffffff,
-    linewidth: 2,
-    resolution: new THREE.Vector2(window.innerWidth, window.innerHeight),
-    transparent: true,
-  });
-  rbConnLines = new LineSegments2(rbConnGeom, rbConnMat);
-  scene.add(rbConnLines);
+// --- Remove all per-session scene objects and reset playback state ---
+function clearSession() {
+  const removeAndDispose = obj => {
+    if (!obj) return;
+    scene.remove(obj);
+    obj.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  };
+  markers.forEach(removeAndDispose);
+  skeletonLines.forEach(removeAndDispose);
+  [rbSphere, headingArrow].forEach(removeAndDispose);
+  removeTrails();
+
+  markers = [];
+  skeletonLines = [];
+  rbSphere = headingArrow = undefined;
+  session = null;
+  markerData = [];
+  frameTimes = [];
+  spikeTimes = [];
+  spikeNeurons = [];
+  rbposData = [];
+  rbTimes = [];
+  rbRotData = [];
+  rbRotTimes = [];
+  headings = [];
+  headingTimes = [];
+  tuning = null;
+  startTime = endTime = 0;
+  restartAnimation();
 }
 
-function onWindowResize() {
-  camera.aspect = window.innerWidth / window.innerHeight;
-  camera.updateProjectionMatrix();
-  renderer.setSize(window.innerWidth, window.innerHeight);
-  const resolution = new THREE.Vector2(window.innerWidth, window.innerHeight);
-  if (rbTrail && rbTrail.material && rbTrail.material.resolution) {
-    rbTrail.material.resolution.copy(resolution);
+// --- Build scene objects for a loaded session ---
+function applySession(loaded) {
+  const units = initialUnits(loaded.units, loaded.manifest);
+  session = loaded;
+  measurement.clear();
+  setArena(session.arena);
+  frameTimes = session.frameTimes;
+  rbTimes = session.rbTimes;
+  rbRotData = session.rbRotData;
+  rbRotTimes = session.rbRotTimes;
+  startTime = Math.min(frameTimes[0], rbTimes.length > 0 ? rbTimes[0] : Infinity);
+  endTime = Math.max(frameTimes[frameTimes.length - 1], rbTimes.length > 0 ? rbTimes[rbTimes.length - 1] : -Infinity);
+  currentTime = startTime;
+  exportControls.from = 0;
+  exportControls.to = endTime - startTime;
+  exportFromController.updateDisplay();
+  exportToController.updateDisplay();
+  spikeTimes = session.spikeTimes;
+  spikeNeurons = session.spikeNeurons;
+  applyGapFilling();
+  setSelectedNeurons(units.ids);
+  refreshUnitList();
+
+  // Create marker spheres.
+  for (let i = 0; i < markerData.length; i++) {
+    const color = new THREE.Color(session.skeleton.markerColors[i]).getHex();
+    const sphere = new THREE.Mesh(
+      new THREE.SphereGeometry(markerControls.size, 16, 16),
+      new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 1.0 })
+    );
+    sphere.name = session.markerNames[i];
+    sphere.userData.baseColor = color;
+    scene.add(sphere);
+    markers.push(sphere);
+  }
+  createSkeletonLines();
+  setMarkerColorOptions();
+
+  if (rbposData.length > 0) {
+    // Create rigid-body sphere (orange).
+    const color = new THREE.Color(rigidBodyControls.color).getHex();
+    rbSphere = new THREE.Mesh(
+      new THREE.SphereGeometry(rigidBodyControls.size, 16, 16),
+      new THREE.MeshBasicMaterial({ color, transparent: true })
+    );
+    rbSphere.userData.baseColor = color;
+    scene.add(rbSphere);
+
+    headingArrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 0.1, color, 0.03, 0.02);
+    headingArrow.visible = false;
+    scene.add(headingArrow);
   }
-  if (backLine1 && backLine1.material && backLine1.material.resolution) {
-    backLine1.material.resolution.copy(resolution);
+  setTrailMarkerOptions();
+  createTrails();
+  setCameraRig(session.cameras || defaultCameras());
+  if (!session.markerNames.includes(cameraControls.highlightMarker)) cameraControls.highlightMarker = 'none';
+  highlightMarkerController = highlightMarkerController.options(['none', ...session.markerNames]).name('Seen Marker');
+  refreshBookmarks();
+  showStatus([units.error, ...session.warnings].filter(Boolean).join('; '), Boolean(units.error));
+  if (pendingView) {
+    applyViewState(pendingView);
+    pendingView = null;
   }
-  if (backLine2 && backLine2.material && backLine2.material.resolution) {
-    backLine2.material.resolution.copy(resolution);
+}
+
+// Replace the spikes of the current session (e.g. with an NWB units table).
+function applySpikes(spikes) {
+  if (!session) {
+    showStatus('Load a session with markers before dropping spike data', true);
+    return;
   }
-  if (rbConnLines && rbConnLines.material && rbConnLines.material.resolution) {
-    rbConnLines.material.resolution.copy(resolution);
+  const units = initialUnits(spikes.units, session.manifest);
+  session.spikeTimes = spikeTimes = spikes.spikeTimes;
+  session.spikeNeurons = spikeNeurons = spikes.spikeNeurons;
+  session.units = spikes.units;
+  setSelectedNeurons(units.ids);
+  refreshUnitList();
+  seekToTime(currentTime);
+  if (units.error) {
+    showStatus(units.error, true);
+    return;
   }
+  const loaded = `Loaded ${spikes.units.length} units; showing ${selectedNeurons.join(', ') || 'none'}`;
+  showStatus([loaded, ...spikes.warnings].join('; '));
+}
+
+// Recompute marker and rigid-body trajectories from the session's raw data
+// using the current gap-filling settings.
+function applyGapFilling() {
+  if (!session) return;
+  const maxGap = Math.round(gapControls.maxGap * session.sampleRate);
+  markerData = session.markerData.map(data => fillGaps(data, gapControls.fill, maxGap));
+  const rbMaxGap = Math.round(gapControls.maxGap * session.rbSampleRate);
+  rbposData = fillGaps(session.rbposData, gapControls.fill, rbMaxGap);
+  updateHeadings();
+  // The rate map was built from the old positions.
+  resetPlaceField();
+  if (trails.length > 0) createTrails();
+}
+
+// Show a message in the on-screen status box (empty message hides it).
+function showStatus(message, isError = false) {
+  const el = document.getElementById('status');
+  el.textContent = message;
+  el.classList.toggle('error', isError);
+  el.style.display = message ? 'block' : 'none';
+}
+
+// Fat line segments for the edges of each skeleton segment; positions are
+// filled in every frame.
+function createSkeletonLines() {
+  skeletonLines = session.skeleton.segments
+    .filter(segment => segment.edges.length > 0)
+    .map(segment => {
+      const geometry = new LineGeometry();
+      geometry.setPositions(new Array(segment.edges.length * 6).fill(0));
+      const material = new LineMaterial({
+        color: new THREE.Color(segment.lineColor),
+        linewidth: markerControls.lineWidth,
+        resolution: viewSize(),
+        transparent: true,
+      });
+      const line = new LineSegments2(geometry, material);
+      line.name = segment.name;
+      line.userData.edges = segment.edges;
+      scene.add(line);
+      return line;
+    });
+}
+
+function viewSize() {
+  return new THREE.Vector2(window.innerWidth, Math.max(1, window.innerHeight - bottomPanel.offsetHeight));
+}
+
+function onWindowResize() {
+  const resolution = viewSize();
+  perspectiveCamera.aspect = resolution.x / resolution.y;
+  perspectiveCamera.updateProjectionMatrix();
+  fitOrthographic();
+  renderer.setSize(resolution.x, resolution.y);
+  bloom.setSize(resolution.x, resolution.y);
+  skeletonLines.forEach(line => line.material.resolution.copy(resolution));
 }
 
 // --- Update Markers and Connection Lines ---
 function updateMarkersAndConnections() {
   markers.forEach((marker, i) => {
-    const data = markerData[i];
-    const sampleIndex = Math.floor(currentSample) % data.length;
-    const pos = data[sampleIndex];
-    marker.position.set(pos.x, pos.y, pos.z);
+    showTrackedPoint(marker, pointAt(markerData[i], frameTimes, currentTime, playbackControls.interpolate));
   });
   
-  if (markers.length >= 3) {
-    backLine1.geometry.setPositions([
-      markers[0].position.x, markers[0].position.y, markers[0].position.z,
-      markers[1].position.x, markers[1].position.y, markers[1].position.z,
-    ]);
-    backLine2.geometry.setPositions([
-      markers[1].position.x, markers[1].position.y, markers[1].position.z,
-      markers[2].position.x, markers[2].position.y, markers[2].position.z,
-    ]);
-  }
-  
-  if (markers.length >= 8) {
+  // Skeleton edges are only drawn between markers tracked (or filled) at
+  // this sample.
+  skeletonLines.forEach(line => {
     const positions = [];
-    for (let i = 3; i < 8; i++) {
-      for (let j = i + 1; j < 8; j++) {
-        positions.push(
-          markers[i].position.x, markers[i].position.y, markers[i].position.z,
-          markers[j].position.x, markers[j].position.y, markers[j].position.z
-        );
-      }
+    for (const [i, j] of line.userData.edges) {
+      const a = markers[i];
+      const b = markers[j];
+      if (!a.userData.valid || !b.userData.valid) continue;
+      positions.push(a.position.x, a.position.y, a.position.z, b.position.x, b.position.y, b.position.z);
+    }
+    line.visible = positions.length > 0;
+    if (line.visible) {
+      line.geometry.setPositions(positions);
     }
-    rbConnLines.geometry.setPositions(positions);
+  });
+}
+
+// Position a marker (or the rigid-body sphere) at a sample, styling it as
+// tracked, gap-filled or missing. Missing points are hidden, or ghosted at
+// their last known position.
+function showTrackedPoint(mesh, pos) {
+  const valid = isValidPoint(pos);
+  mesh.userData.valid = valid;
+  if (valid) {
+    mesh.position.set(pos.x, pos.y, pos.z);
+    mesh.userData.seen = true;
   }
+  mesh.visible = valid || (gapControls.display === 'ghost' && mesh.userData.seen === true);
+  mesh.material.color.set(valid && pos.filled ? markerControls.filledColor : mesh.userData.baseColor);
+  mesh.material.opacity = valid ? 1.0 : markerControls.ghostOpacity;
+}
+
+function resizeTrackedPoints() {
+  const resize = (mesh, radius) => {
+    mesh.geometry.dispose();
+    mesh.geometry = new THREE.SphereGeometry(radius, 16, 16);
+  };
+  markers.forEach(marker => resize(marker, markerControls.size));
+  if (rbSphere) resize(rbSphere, rigidBodyControls.size);
 }
 
-// --- Update Rigid-Body Sphere and Fading Trail ---
+function recolorRigidBody() {
+  const color = new THREE.Color(rigidBodyControls.color).getHex();
+  if (rbSphere) rbSphere.userData.baseColor = color;
+  if (headingArrow) headingArrow.setColor(color);
+  if (trailControls.rigidBody) createTrails();
+}
+
+// A marker and a line colour per skeleton segment, reset to the session's
+// skeleton.
+function setMarkerColorOptions() {
+  markerColorControllers.forEach(controller => markerColorFolder.remove(controller));
+  Object.keys(segmentColors).forEach(key => { delete segmentColors[key]; });
+  markerColorControllers = session.skeleton.segments.flatMap(segment => {
+    segmentColors[segment.name] = `#${new THREE.Color(segment.color).getHexString()}`;
+    segmentColors[`${segment.name} lines`] = `#${new THREE.Color(segment.lineColor).getHexString()}`;
+    return [
+      markerColorFolder.addColor(segmentColors, segment.name).onChange(recolorSkeleton),
+      markerColorFolder.addColor(segmentColors, `${segment.name} lines`).onChange(recolorSkeleton),
+    ];
+  });
+}
+
+function recolorSkeleton() {
+  session.skeleton.segments.forEach(segment => {
+    const color = new THREE.Color(segmentColors[segment.name]).getHex();
+    segment.markers.forEach(i => { markers[i].userData.baseColor = color; });
+    const line = skeletonLines.find(l => l.name === segment.name);
+    if (line) line.material.color.set(segmentColors[`${segment.name} lines`]);
+  });
+  // Marker trails take their marker's colour.
+  if (trails.length > 0) createTrails();
+}
+
+// --- Update Rigid-Body Sphere ---
 function updateRigidBody() {
-  // if (!rbTrail) return; // Wait until rbTrail is initialized.
   if (rbposData.length === 0) return;
-  const rbIndex = Math.floor(currentSample) % rbposData.length;
-  rbPos = rbposData[rbIndex]; // update global variable
-  rbSphere.position.set(rbPos.x, rbPos.y, rbPos.z);
+  showTrackedPoint(rbSphere, pointAt(rbposData, rbTimes, currentTime, playbackControls.interpolate));
+  if (rbRotData.length > 0) {
+    quaternionAt(rbRotData, rbRotTimes, currentTime, playbackControls.interpolate, rbSphere.quaternion);
+  }
+  updateHeadingArrow();
+}
 
-  // Everything below relates to trail-plotting
-  if (!SHOW_TRAIL) return;
-  
-  if (rbTrailCount === 0) {
-    rbTrailPositions[0] = rbPos.x;
-    rbTrailPositions[1] = rbPos.y;
-    rbTrailPositions[2] = rbPos.z;
-    rbTrailCount = 1;
-  } else {
-    for (let i = 0; i < (rbTrailCount - 1) * 3; i++) {
-      rbTrailPositions[i] = rbTrailPositions[i + 3];
+// --- Update Spike Dots and Emphasize New Spikes ---
+function updateSpikes() {
+  const { behind, ahead } = spikeWindow();
+  // After a step longer than the window nothing of it is kept, so rebuilding
+  // is cheaper than sweeping out and back in everything in between.
+  if (upperBound(spikeTimes, currentTime - behind) > spikeIndex ||
+      upperBound(spikeTimes, currentTime + ahead) < spikeFirst) {
+    rebuildSpikeDots();
+    return;
+  }
+  const selected = k => selectedNeurons.includes(spikeNeurons[k]);
+  // Spikes entering the window at the front, or leaving it there when
+  // playing backwards. Dots are kept in spike order, so they come off the end.
+  spikeIndex = sweepTo(spikeTimes, spikeIndex, currentTime + ahead, (k, sign) => {
+    if (sign < 0) {
+      if (spikeDots.newestSpikeIndex() === k) spikeDots.removeNewest();
+      return;
     }
-    const base = (rbTrailCount - 1) * 3;
-    rbTrailPositions[base] = rbPos.x;
-    rbTrailPositions[base + 1] = rbPos.y;
-    rbTrailPositions[base + 2] = rbPos.z;
-    if (rbTrailCount < maxTrailLength) {
-      rbTrailCount++;
+    const record = selected(k) && spikeDotRecord(k);
+    if (record) spikeDots.add(record);
+  });
+  // ...and leaving or re-entering it at the back, never past the front.
+  spikeFirst = sweepTo(spikeTimes, spikeFirst, currentTime - behind, (k, sign) => {
+    if (sign > 0) {
+      if (spikeDots.oldestSpikeIndex() === k) spikeDots.removeOldest();
+      return;
     }
+    if (k >= spikeIndex) return;
+    const record = selected(k) && spikeDotRecord(k);
+    if (record) spikeDots.addOldest(record);
+  });
+}
+
+// Seconds of spikes shown before and after the playhead.
+function spikeWindow() {
+  switch (spikeControls.mode) {
+    case 'recent': return { behind: spikeControls.window, ahead: 0 };
+    case 'window': return { behind: spikeControls.window, ahead: spikeControls.window };
+    default: return { behind: Infinity, ahead: 0 };
   }
-  for (let i = rbTrailCount; i < maxTrailLength; i++) {
-    const index = i * 3;
-    rbTrailPositions[index] = rbPos.x;
-    rbTrailPositions[index + 1] = rbPos.y;
-    rbTrailPositions[index + 2] = rbPos.z;
+}
+
+// Dot for spike k at the rigid-body position at the time of the spike, or
+// null if the rigid body has not been tracked yet. Births are in seconds
+// from the start of the session (the shader works in single precision), so
+// the emphasis animation follows the session clock: it pauses, scales with
+// the playback speed and plays backwards in reverse.
+function spikeDotRecord(k) {
+  const pos = rbPositionAtTime(spikeTimes[k]);
+  if (!pos) return null;
+  const neuronId = spikeNeurons[k];
+  return {
+    spikeIndex: k,
+    neuronId,
+    x: pos.x + (Math.random() - 0.5) * spikeControls.dither,
+    z: pos.z + (Math.random() - 0.5) * spikeControls.dither,
+    color: neuronColors[neuronId],
+    birth: spikeTimes[k] - startTime,
+    // The bounce starts at the rigid body's height and decays to the floor.
+    bounceHeight: pos.y,
+  };
+}
+
+// Rigid-body position at a session time, or the closest earlier tracked one.
+function rbPositionAtTime(time) {
+  const pos = pointAt(rbposData, rbTimes, time, playbackControls.interpolate);
+  if (isValidPoint(pos)) return pos;
+  let sample = sampleIndexAt(rbTimes, time);
+  while (sample >= 0 && !isValidPoint(rbposData[sample])) sample--;
+  return sample >= 0 ? rbposData[sample] : null;
+}
+
+function updateSpikeEmphasis() {
+  spikeDots.setTime(currentTime - startTime);
+  spikeDots.setFadeTime(spikeControls.mode === 'all' ? 0 : spikeControls.window);
+}
+
+// --- Place-Field Heatmap ---
+// The rate map is accumulated incrementally (see createRateMapTracker):
+// samples and spikes between the last update and the current time are added
+// (or, when playing backwards, subtracted) each frame.
+const MAX_OCCUPANCY_DT = 0.1; // Don't credit long dropouts to one bin.
+let placeField = null;
+let placeFieldTracker = null; // Sweeps placeField along with the playhead.
+let placeFieldMesh = null;
+let placeFieldDirty = false;
+
+function updatePlaceFieldUnits() {
+  const ids = selectedNeurons.map(String);
+  if (!ids.includes(placeFieldControls.unit)) {
+    placeFieldControls.unit = ids.length > 0 ? ids[0] : '';
   }
-  rbTrail.geometry.setPositions(Array.from(rbTrailPositions));
-  
-  // For a fading effect, we update a custom "progress" attribute.
-  // Here, we set the oldest valid point to 0 and the newest to 1, then pad the rest with 1.
-  const progressArray = [];
-  for (let i = 0; i < rbTrailCount; i++) {
-    progressArray.push((rbTrailCount > 1) ? (i / (rbTrailCount - 1)) : 1);
+  placeFieldUnitController = placeFieldUnitController.options(ids).name('Unit').onChange(resetPlaceField);
+  resetPlaceField();
+}
+
+function resetPlaceField() {
+  if (placeFieldMesh) {
+    scene.remove(placeFieldMesh);
+    placeFieldMesh.geometry.dispose();
+    placeFieldMesh.material.map.dispose();
+    placeFieldMesh.material.dispose();
+    placeFieldMesh = null;
   }
-  for (let i = rbTrailCount; i < maxTrailLength; i++) {
-    progressArray.push(1);
+  placeField = placeFieldTracker = null;
+  if (!placeFieldControls.show || !session || placeFieldControls.unit === '') return;
+
+  const binSize = placeFieldControls.binSize;
+  placeField = createRateMap(floorBounds, binSize);
+  placeFieldTracker = createRateMapTracker(placeField, {
+    positions: rbposData,
+    times: rbTimes,
+    spikeTimes,
+    spikeNeurons,
+    unit: Number(placeFieldControls.unit),
+    maxDt: MAX_OCCUPANCY_DT,
+  });
+
+  const { nx, nz } = placeField;
+  const texture = new THREE.DataTexture(new Uint8Array(nx * nz * 4), nx, nz);
+  texture.magFilter = THREE.NearestFilter;
+  const width = nx * binSize;
+  const depth = nz * binSize;
+  placeFieldMesh = new THREE.Mesh(
+    new THREE.PlaneGeometry(width, depth),
+    new THREE.MeshBasicMaterial({ map: texture, transparent: true, opacity: 0.8, depthWrite: false })
+  );
+  placeFieldMesh.rotation.x = -Math.PI / 2;
+  placeFieldMesh.position.set(floorBounds.minX + width / 2, 0.001, floorBounds.minZ + depth / 2);
+  scene.add(placeFieldMesh);
+  placeFieldDirty = true;
+}
+
+function updatePlaceField() {
+  if (!placeFieldTracker) return;
+  if (placeFieldTracker.update(currentTime)) placeFieldDirty = true;
+  if (placeFieldDirty) {
+    renderPlaceField();
+    placeFieldDirty = false;
   }
-  rbTrail.geometry.setAttribute('progress', new THREE.BufferAttribute(new Float32Array(progressArray), 1));
-  rbTrail.geometry.attributes.progress.needsUpdate = true;
 }
 
-// --- Update Spike Dots and Emphasize New Spikes ---
-function updateSpikes() {
-  const currentFrameTime = frameTimes[Math.floor(currentSample)] || 0;
-  while (spikeIndex < spikeTimes.length && spikeTimes[spikeIndex] <= currentFrameTime) {
-    const neuronId = spikeNeurons[spikeIndex];
-    if (SELECTED_NEURONS.includes(neuronId)) {
-      const rbIndex = Math.floor(currentSample) % rbposData.length;
-      // const rbPos = rbposData[rbIndex] || { x: 0, y: 0, z: 0 };
-      const spikeDot = new THREE.Mesh(
-        new THREE.SphereGeometry(0.016, 8, 8),
-        new THREE.MeshPhongMaterial({ color: neuronColors[neuronId], shininess: 50 })
-        // new THREE.MeshBasicMaterial({ color: neuronColors[neuronId] })
-      );
-      spikeDot.position.set(
-        rbPos.x + (Math.random() - 0.5) * DITHER_AMOUNT,
-        0, // doesn't actually matter because vertical pos is set by emphasis animation
-        rbPos.z + (Math.random() - 0.5) * DITHER_AMOUNT
-      );
-      // Record birth time for emphasis animation.
-      spikeDot.userData.birthTime = clock.getElapsedTime();
-      spikeGroup.add(spikeDot);
+// Color the rate map blue (0) to red (peak rate); masked bins are transparent.
+function renderPlaceField() {
+  const { rates, peak } = placeField.compute(placeFieldControls.smoothing, placeFieldControls.minOccupancy);
+  const { nx, nz } = placeField;
+  const texture = placeFieldMesh.material.map;
+  const data = texture.image.data;
+  const color = new THREE.Color();
+  for (let iz = 0; iz < nz; iz++) {
+    // Texture rows run from +z to -z once the plane is laid flat.
+    const row = nz - 1 - iz;
+    for (let ix = 0; ix < nx; ix++) {
+      const rate = rates[iz * nx + ix];
+      const out = (row * nx + ix) * 4;
+      if (Number.isNaN(rate)) {
+        data[out + 3] = 0;
+        continue;
+      }
+      color.setHSL((1 - (peak > 0 ? rate / peak : 0)) * 0.66, 1, 0.5);
+      data[out] = color.r * 255;
+      data[out + 1] = color.g * 255;
+      data[out + 2] = color.b * 255;
+      data[out + 3] = 255;
     }
-    spikeIndex++;
   }
+  texture.needsUpdate = true;
 }
 
-const EMPHASIS_TIME = 5;
+// --- Trails ---
+let trails = [];
 
-function updateSpikeEmphasis() {
-  const currentTime = clock.getElapsedTime();
-  spikeGroup.children.forEach(spike => {
-    const birthTime = spike.userData.birthTime || 0;
-    const age = currentTime - birthTime;
-    if (age < EMPHASIS_TIME) {
-      const t = age; // t goes from 0 to 1 over one second
-
-      // Store initial state data for each spike
-      // We use the initial scale to smoothly reduce the ball size during the first
-      // few time steps after creation.
-      //
-      // We also assign each ball with a random bounce decay factor, which makes
-      // the bounces look more natural 
-      if (!spike.userData.initialScale) {
-        spike.userData.initialScale = spike.scale.x;
-        spike.userData.bounceDecayRate = 2 + 2*(Math.random());
-      }
-      const initialScale = spike.userData.initialScale;
-
-      // Linearly interpolate scale: final scale is half the initial.
-      const newScale = THREE.MathUtils.lerp(initialScale, initialScale * 0.5, t/EMPHASIS_TIME);
-      spike.scale.set(newScale, newScale, newScale);
-
-      // "bounce" the spikes by applying a decaying oscillating function
-      // to the vertical position. The initial value is the current RB position,
-      // and it exponentially decays to a fixed height.
-      const k = spike.userData.bounceDecayRate;
-      const bounce = rbPos.y * Math.exp(-k * age) * Math.abs(Math.cos(12 * age));
-      spike.position.y = 0.005 + bounce;
+function setTrailMarkerOptions() {
+  trailMarkerControllers.forEach(controller => trailMarkerFolder.remove(controller));
+  trailMarkerControllers = session.markerNames.map(name => {
+    if (!(name in trailMarkers)) trailMarkers[name] = false;
+    return trailMarkerFolder.add(trailMarkers, name).onChange(createTrails);
+  });
+}
+
+function createTrails() {
+  removeTrails();
+  if (!session) return;
+  const add = (points, times, color) => {
+    const trail = createTrail(points, times, { color, origin: startTime, length: trailControls.length });
+    scene.add(trail.line);
+    trails.push(trail);
+  };
+  if (trailControls.rigidBody && rbposData.length > 0) {
+    add(rbposData, rbTimes, rigidBodyControls.color);
+  }
+  session.markerNames.forEach((name, i) => {
+    if (trailMarkers[name]) add(markerData[i], frameTimes, markers[i].userData.baseColor);
+  });
+}
+
+function removeTrails() {
+  trails.forEach(trail => {
+    scene.remove(trail.line);
+    trail.dispose();
+  });
+  trails = [];
+}
+
+// --- Head Direction ---
+// Headings are precomputed per sample of the source stream; tuning curves
+// accumulate incrementally like the place field.
+let headings = [];            // Radians per sample (NaN = unknown), offset applied.
+let headingTimes = [];
+let headingArrow;
+let tuning = null;
+let tuningSampleIndex = 0;
+let tuningSpikeIndex = 0;
+let tuningDirty = false;
+let tuningResult = null;
+
+function updateHeadings() {
+  headings = [];
+  headingTimes = [];
+  if (session) {
+    const source = headingControls.source === 'auto' ? (rbRotData.length > 0 ? 'rotation' : 'markers') : headingControls.source;
+    if (source === 'rotation') {
+      headings = headingFromQuaternions(rbRotData);
+      headingTimes = rbRotTimes;
+    } else {
+      headings = headingFromMarkers(markerData, session.skeleton.rigidBodyMarkers);
+      headingTimes = frameTimes;
     }
+    const offset = THREE.MathUtils.degToRad(headingControls.offset);
+    headings = headings.map(h => wrapAngle(h + offset));
+  }
+  resetTuning();
+}
+
+function currentHeading() {
+  if (headings.length === 0) return NaN;
+  return angleAt(headings, headingTimes, currentTime, playbackControls.interpolate);
+}
+
+function updateHeadingArrow() {
+  if (!headingArrow) return;
+  const heading = currentHeading();
+  headingArrow.visible = headingControls.showArrow && rbSphere.visible && !Number.isNaN(heading);
+  if (!headingArrow.visible) return;
+  headingArrow.position.copy(rbSphere.position);
+  headingArrow.setDirection(headingVector(heading));
+}
+
+function resetTuning() {
+  tuning = null;
+  tuningResult = null;
+  if (!headingControls.showTuning || headings.length === 0) return;
+  tuning = createTuningCurves(headingControls.bins, selectedNeurons);
+  tuningSampleIndex = 0;
+  tuningSpikeIndex = 0;
+  tuningDirty = true;
+}
+
+function updateTuning() {
+  if (!tuning) return;
+  const occupancyOf = i => (i + 1 < headingTimes.length ? Math.min(headingTimes[i + 1] - headingTimes[i], MAX_OCCUPANCY_DT) : 0);
+  tuningSampleIndex = sweepTo(headingTimes, tuningSampleIndex, currentTime, (i, sign) => {
+    tuning.addOccupancy(headings[i], sign * occupancyOf(i));
+    tuningDirty = true;
+  });
+  tuningSpikeIndex = sweepTo(spikeTimes, tuningSpikeIndex, currentTime, (k, sign) => {
+    tuning.addSpike(spikeNeurons[k], headings[sampleIndexAt(headingTimes, spikeTimes[k])], sign);
+    tuningDirty = true;
+  });
+  if (tuningDirty) {
+    tuningResult = tuning.compute(headingControls.minOccupancy);
+    tuningDirty = false;
+  }
+  tuningPlot.draw({
+    curves: tuningResult.curves,
+    colors: neuronColors,
+    peak: tuningResult.peak,
+    heading: currentHeading(),
   });
 }
 
@@ -479,9 +1362,8 @@ const clock = new THREE.Clock();
 function animate() {
 
   requestAnimationFrame(animate);
-  controls.update();
-  
-  updateMarkersAndConnections();
+  // An export renders its own frames.
+  if (exportJob) return;
 
     // Only accumulate delta values that are reasonable.
     // This effectively pauses the playback clock when the animation stops playing
@@ -489,26 +1371,361 @@ function animate() {
   if (delta > MAX_DELTA) {
     delta = 0;
   }
-  currentSample += delta * 120 * playbackControls.playbackSpeed;
+  if (markerData.length > 0 && playbackControls.playing) {
+    const direction = playbackControls.reverse ? -1 : 1;
+    currentTime += direction * delta * playbackControls.playbackSpeed;
+  }
 
-  let currentFrameIndex = Math.floor(currentSample) % markerData[0].length;
-  if (currentFrameIndex < lastSampleIndex) {
-    if (LOOP_PLAYBACK) {
-      restartAnimation();
+  if (markerData.length > 0 && (currentTime > endTime || currentTime < startTime)) {
+    if (playbackControls.loop) {
+      seekToTime(currentTime < startTime ? endTime : startTime);
     } else {
-      currentFrameIndex = markerData[0].length - 1;
-      currentSample = currentFrameIndex;
+      currentTime = THREE.MathUtils.clamp(currentTime, startTime, endTime);
+      playbackControls.playing = false;
     }
   }
-  lastSampleIndex = currentFrameIndex;
-  
-  if (frameTimes.length > 0 && spikeTimes.length > 0 && rbposData.length > 0) {
+
+  updateFrame(delta);
+}
+
+// Bring everything drawn up to currentTime and render. `delta` is the time
+// since the last frame in seconds, for camera movement.
+function updateFrame(delta) {
+  updateMarkersAndConnections();
+  updateCameraHighlight();
+  if (session) updateMeasurement();
+  if (markerData.length === 0) {
+    updateViewpoint(delta);
+    render();
+    return;
+  }
+
+  trails.forEach(trail => trail.update(currentTime, trailControls));
+
+  if (rbposData.length > 0) {
     updateRigidBody();
-    updateSpikes();
-    updateSpikeEmphasis();
+    if (spikeTimes.length > 0) {
+      updateSpikes();
+      updateSpikeEmphasis();
+    }
+    updatePlaceField();
+    updateTuning();
+  }
+
+  if (rasterControls.show && session) {
+    raster.draw({
+      spikeTimes,
+      spikeNeurons,
+      units: session.units,
+      colors: neuronColors,
+      time: currentTime,
+      halfWindow: rasterControls.window,
+    });
   }
+
+  transport.update({
+    time: currentTime,
+    startTime,
+    endTime,
+    playing: playbackControls.playing,
+    reversed: playbackControls.reverse,
+    playbackSpeed: playbackControls.playbackSpeed,
+  });
   
-  renderer.render(scene, camera);
+  updateViewpoint(delta);
+  render();
+}
+
+// --- View State ---
+function currentViewState() {
+  const settings = {};
+  Object.entries(VIEW_SETTINGS).forEach(([key, [object, property]]) => {
+    settings[key] = object[property];
+  });
+  return {
+    time: currentTime - startTime,
+    speed: playbackControls.playbackSpeed,
+    playing: playbackControls.playing,
+    reverse: playbackControls.reverse,
+    camera: camera.position.toArray(),
+    target: controls.target.toArray(),
+    units: selectedNeurons,
+    trails: Object.keys(trailMarkers).filter(name => trailMarkers[name]),
+    settings,
+  };
+}
+
+function applyViewState(state) {
+  Object.entries(state.settings).forEach(([key, text]) => {
+    if (!VIEW_SETTINGS[key]) return;
+    const [object, property] = VIEW_SETTINGS[key];
+    let value = text;
+    if (typeof object[property] === 'boolean') value = text === '1' || text === 'true';
+    if (typeof object[property] === 'number') value = parseFloat(text);
+    if (Number.isNaN(value)) return;
+    // Through the GUI, so the setting's onChange takes effect too.
+    const controller = controllerFor(gui, object, property);
+    if (controller) controller.setValue(value);
+    else object[property] = value;
+  });
+  if (state.speed !== undefined) playbackControls.playbackSpeed = state.speed;
+  if (state.playing !== undefined) playbackControls.playing = state.playing;
+  if (state.reverse !== undefined) playbackControls.reverse = state.reverse;
+  if (state.camera) camera.position.fromArray(state.camera);
+  if (state.target) controls.target.fromArray(state.target);
+  controls.update();
+  if (!session) return;
+
+  if (state.units) {
+    setSelectedNeurons(state.units);
+    refreshUnitList();
+  }
+  if (state.trails) {
+    Object.keys(trailMarkers).forEach(name => { trailMarkers[name] = state.trails.includes(name); });
+    trailMarkerControllers.forEach(controller => controller.updateDisplay());
+  }
+  // Also picks up settings whose handlers only run on finishing an edit.
+  createTrails();
+  seekToTime(state.time !== undefined ? startTime + state.time : currentTime);
+}
+
+function shareView() {
+  if (!session) return;
+  window.history.replaceState(null, '', `#${encodeViewState(currentViewState())}`);
+  navigator.clipboard.writeText(window.location.href).then(
+    () => showStatus('Link to this view copied to the clipboard'),
+    () => showStatus('Link to this view is in the address bar')
+  );
+}
+
+function refreshBookmarks() {
+  const names = session ? Object.keys(loadBookmarks(session.name)) : [];
+  if (!names.includes(viewControls.bookmark)) viewControls.bookmark = '';
+  bookmarkController = bookmarkController.options(names).name('Go To').onChange(name => {
+    const hash = loadBookmarks(session.name)[name];
+    if (hash === undefined) return;
+    window.history.replaceState(null, '', `#${hash}`);
+    applyViewState(decodeViewState(hash));
+  });
+}
+
+function saveViewBookmark() {
+  if (!session) return;
+  const name = viewControls.name.trim() || `View ${Object.keys(loadBookmarks(session.name)).length + 1}`;
+  saveBookmark(session.name, name, encodeViewState(currentViewState()));
+  viewControls.bookmark = name;
+  refreshBookmarks();
+}
+
+function removeViewBookmark() {
+  if (!session || !viewControls.bookmark) return;
+  deleteBookmark(session.name, viewControls.bookmark);
+  refreshBookmarks();
+}
+
+// --- Viewpoints ---
+let transition = null;        // { animation, to, orthographic }; `to` null means the eye pose.
+let orbitPose = null;         // Where to return to from the first-person view.
+
+function goToView(name) {
+  viewpointControls.view = NO_VIEW;
+  viewController.updateDisplay();
+  if (name === NO_VIEW) return;
+  if (viewpointControls.mode === 'first person') {
+    viewpointControls.mode = 'orbit';
+    orbitPose = null;
+    controllerFor(gui, viewpointControls, 'mode').updateDisplay();
+  }
+  const trackingCamera = rigCameras.find(c => c.label === name);
+  const size = viewSize();
+  startTransition(
+    trackingCamera ? trackingCameraPose(trackingCamera) : presetPose(name, floorBounds, sceneControls.fov, size.x / size.y),
+    name === 'top'
+  );
+}
+
+function setViewpointMode(mode) {
+  if (mode === 'first person') {
+    orbitPose = currentPose();
+    startTransition(null);
+  } else if (orbitPose) {
+    startTransition(orbitPose);
+    orbitPose = null;
+  }
+}
+
+function currentPose() {
+  return { position: camera.position.clone(), target: controls.target.clone(), fov: perspectiveCamera.fov };
+}
+
+function startTransition(to, orthographic = false) {
+  useOrthographic(false);
+  transition = { animation: createTransition(currentPose(), viewpointControls.transitionTime), to, orthographic };
+}
+
+// Move the camera for this frame: along a transition, with the animal, or
+// under the orbit controls.
+function updateViewpoint(delta) {
+  const heading = viewpointControls.mode === 'first person' && rbSphere ? currentHeading() : NaN;
+  const eye = Number.isNaN(heading)
+    ? null
+    : eyePose(rbSphere.position, heading, viewpointControls.eyeHeight, sceneControls.fov);
+  if (transition) {
+    const to = transition.to || eye;
+    if (to) applyPose(transition.animation.step(delta, to));
+    if (!to || transition.animation.done) {
+      if (transition.orthographic) useOrthographic(true);
+      transition = null;
+    }
+  } else if (eye) {
+    applyPose(eye);
+  } else if (viewpointControls.mode === 'follow' && rbSphere && rbSphere.userData.valid) {
+    // Ease the orbit centre onto the rigid body; the camera keeps its offset.
+    const smoothing = viewpointControls.followSmoothing;
+    const k = smoothing > 0 ? 1 - Math.exp(-delta / smoothing) : 1;
+    const shift = rbSphere.position.clone().sub(controls.target).multiplyScalar(k);
+    controls.target.add(shift);
+    camera.position.add(shift);
+  }
+  controls.enabled = !transition && !eye;
+  if (controls.enabled) controls.update();
+}
+
+function applyPose(pose) {
+  camera.position.copy(pose.position);
+  controls.target.copy(pose.target);
+  camera.lookAt(pose.target);
+  if (camera.isPerspectiveCamera && camera.fov !== pose.fov) {
+    camera.fov = pose.fov;
+    camera.updateProjectionMatrix();
+  }
+}
+
+// Swap between the perspective and orthographic cameras, keeping the pose
+// and the apparent size of things at the orbit centre.
+function useOrthographic(orthographic) {
+  if (orthographic === Boolean(camera.isOrthographicCamera)) return;
+  const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(perspectiveCamera.fov / 2));
+  const next = orthographic ? orthoCamera : perspectiveCamera;
+  next.quaternion.copy(camera.quaternion);
+  if (orthographic) {
+    const halfHeight = camera.position.distanceTo(controls.target) * tanHalfFov;
+    orthoCamera.top = halfHeight;
+    orthoCamera.bottom = -halfHeight;
+    orthoCamera.zoom = 1;
+    orthoCamera.position.copy(camera.position);
+  } else {
+    const halfHeight = orthoCamera.top / orthoCamera.zoom;
+    const direction = camera.position.clone().sub(controls.target).normalize();
+    perspectiveCamera.position.copy(controls.target).addScaledVector(direction, halfHeight / tanHalfFov);
+  }
+  camera = next;
+  fitOrthographic();
+  controls.object = camera;
+  bloom.setCamera(camera);
+}
+
+function fitOrthographic() {
+  const size = viewSize();
+  orthoCamera.left = -orthoCamera.top * size.x / size.y;
+  orthoCamera.right = orthoCamera.top * size.x / size.y;
+  orthoCamera.updateProjectionMatrix();
+}
+
+// --- Scene and Presets ---
+function applySceneSettings() {
+  scene.background = transparentBg ? null : new THREE.Color(sceneControls.background);
+  floor.visible = sceneControls.showFloor;
+  floor.material.color.set(sceneControls.floorColor);
+  perspectiveCamera.fov = sceneControls.fov;
+  perspectiveCamera.updateProjectionMatrix();
+}
+
+function savePreset() {
+  const preset = capturePreset(gui, PRESET_SECTIONS);
+  downloadBlob(new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' }), 'mocap-viz-preset.json');
+}
+
+function loadPreset(file) {
+  readFileAsText(file)
+    .then(text => {
+      const applied = applyPreset(gui, PRESET_SECTIONS, parsePreset(text));
+      // Settings whose handlers only run on finishing an edit. Gap filling
+      // also restarts the headings, tuning curves and place field, picking
+      // up their offset and bin sizes.
+      applyGapFilling();
+      createSpikeDotMesh();
+      createTrails();
+      seekToTime(currentTime);
+      showStatus(`Loaded ${applied} settings from ${file.name}`);
+    })
+    .catch(err => {
+      console.error(err);
+      showStatus(err.message, true);
+    });
+}
+
+// --- Export ---
+let exportJob = null;
+
+async function startExport() {
+  if (exportJob || !session) return;
+  const job = exportJob = { cancelled: false };
+  playbackControls.playing = false;
+  const start = THREE.MathUtils.clamp(startTime + exportControls.from, startTime, endTime);
+  const end = THREE.MathUtils.clamp(startTime + exportControls.to, start, endTime);
+  const { format } = exportControls;
+  const fps = Number(exportControls.fps);
+  seekToTime(start);
+  try {
+    const blob = await exportFrames(renderer.domElement, {
+      start,
+      end,
+      fps,
+      format,
+      transparent: transparentBg,
+      renderFrame: time => {
+        currentTime = time;
+        updateFrame(1 / fps);
+      },
+      onProgress: (i, count) => showStatus(`Exporting frame ${i + 1} of ${count}…`),
+      isCancelled: () => job.cancelled,
+    });
+    if (blob) {
+      downloadBlob(blob, format === 'png' ? `${session.name}_frames.zip` : `${session.name}.webm`);
+    }
+    showStatus(blob ? '' : 'Export cancelled');
+  } catch (err) {
+    console.error(err);
+    showStatus(err.message, true);
+  } finally {
+    exportJob = null;
+  }
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function render() {
+  if (!bloomControls.enabled) {
+    renderer.render(scene, camera);
+    return;
+  }
+  const glow = (obj, on) => {
+    if (!obj) return;
+    if (on) obj.layers.enable(BLOOM_LAYER);
+    else obj.layers.disable(BLOOM_LAYER);
+  };
+  glow(spikeDots.mesh, bloomControls.spikes);
+  trails.forEach(trail => glow(trail.line, bloomControls.trails));
+  [...markers, ...skeletonLines, rbSphere].forEach(obj => glow(obj, bloomControls.markers));
+  bloom.render(bloomControls);
 }
 
 init();
@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+
+// Measurement between picked markers at the current frame: with two markers
+// the distance between them, with three the distances along A–B–C and the
+// angle at B. Picking a fourth marker drops the first one picked.
+
+export const MAX_MEASURED = 3;
+
+const LINE_COLOR = 0xffff00;
+
+export function createMeasurement() {
+  const selection = [];       // Marker indices, in the order picked.
+  const positions = new THREE.BufferAttribute(new Float32Array(MAX_MEASURED * 3), 3);
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', positions);
+  geometry.setDrawRange(0, 0);
+  // Drawn over everything, so it stays readable inside the arena walls.
+  const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: LINE_COLOR, depthTest: false }));
+  line.renderOrder = 1;
+  line.frustumCulled = false;
+
+  const ab = new THREE.Vector3();
+  const cb = new THREE.Vector3();
+
+  return {
+    line,
+
+    get selection() {
+      return selection.slice();
+    },
+
+    // Add a marker to the selection, or remove it if it is already selected.
+    toggle(index) {
+      const at = selection.indexOf(index);
+      if (at >= 0) {
+        selection.splice(at, 1);
+        return;
+      }
+      if (selection.length === MAX_MEASURED) selection.shift();
+      selection.push(index);
+    },
+
+    clear() {
+      selection.length = 0;
+      geometry.setDrawRange(0, 0);
+    },
+
+    // points: the position of each selected marker (Vector3), or null where
+    // it is not tracked; names: marker names by index. Updates the line and
+    // returns the readout, one measurement per line.
+    update(points, names) {
+      const label = selection.map(i => names[i]);
+      const tracked = points.every(Boolean);
+      geometry.setDrawRange(0, tracked && points.length > 1 ? points.length : 0);
+      if (tracked) {
+        points.forEach((p, k) => positions.setXYZ(k, p.x, p.y, p.z));
+        positions.needsUpdate = true;
+      }
+
+      const missing = selection.filter((_, k) => !points[k]).map(i => names[i]);
+      if (missing.length > 0) return [`Not tracked: ${missing.join(', ')}`];
+      if (points.length === 1) {
+        const [p] = points;
+        return [`${label[0]}: (${p.x.toFixed(3)}, ${p.y.toFixed(3)}, ${p.z.toFixed(3)}) m`];
+      }
+      const lines = [];
+      for (let k = 1; k < points.length; k++) {
+        lines.push(`${label[k - 1]}–${label[k]}: ${points[k - 1].distanceTo(points[k]).toFixed(3)} m`);
+      }
+      if (points.length === 3) {
+        const [a, b, c] = points;
+        lines.push(`${label[0]}–${label[2]}: ${a.distanceTo(c).toFixed(3)} m`);
+        const angle = ab.subVectors(a, b).angleTo(cb.subVectors(c, b));
+        lines.push(`∠${label[0]}–${label[1]}–${label[2]}: ${THREE.MathUtils.radToDeg(angle).toFixed(1)}°`);
+      }
+      return lines;
+    },
+
+    dispose() {
+      geometry.dispose();
+      line.material.dispose();
+    },
+  };
+}
@@ -0,0 +1,158 @@
+// Reader for Motive (OptiTrack) CSV exports.
+//
+// The export starts with a row of "key,value" take metadata followed by a
+// multi-row column header:
+//
+//   ,Type,Rigid Body,Rigid Body,...,Marker,Marker,Marker
+//   ,Name,RB1,RB1,...,RB1:Marker1,RB1:Marker1,RB1:Marker1
+//   ,ID,1,1,...,1,1,1
+//   ,,Rotation,Rotation,Rotation,Rotation,Position,...,Position,Position,Position
+//   Frame,Time (Seconds),X,Y,Z,W,X,...,X,Y,Z
+//
+// Empty cells (the marker or rigid body was not tracked) are read as NaN.
+
+const LENGTH_UNITS = { meters: 'm', centimeters: 'cm', millimeters: 'mm' };
+
+export class MotiveCsvError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MotiveCsvError';
+  }
+}
+
+// Returns { frameRate, units, frames, times, markers, rigidBodies } where
+// markers are { name, position } and rigid bodies { name, id, position,
+// rotation }. Positions are flat [frames, 3] and rotations flat [frames, 4]
+// (x, y, z, w) Float32Arrays.
+export function parseMotiveCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const rows = [];
+  for (const line of lines) {
+    if (line.trim() !== '') rows.push(splitCsvLine(line));
+  }
+
+  const info = {};
+  const meta = rows[0] || [];
+  for (let i = 0; i + 1 < meta.length; i += 2) {
+    info[meta[i].trim()] = meta[i + 1].trim();
+  }
+
+  const typeRow = rows.findIndex(row => row[1] === 'Type');
+  const headerRow = rows.findIndex(row => row[0] === 'Frame');
+  if (typeRow < 0 || headerRow < 0 || headerRow !== typeRow + 4) {
+    throw new MotiveCsvError('Not a Motive CSV export (missing Type/Name/ID/Frame header rows)');
+  }
+  const types = rows[typeRow];
+  const names = rows[typeRow + 1];
+  const ids = rows[typeRow + 2];
+  const properties = rows[typeRow + 3];
+  const components = rows[headerRow];
+  const body = rows.slice(headerRow + 1);
+  const frames = body.length;
+
+  const rotationType = info['Rotation Type'] || 'Quaternion';
+  const unitName = (info['Length Units'] || 'Meters').toLowerCase();
+  const units = LENGTH_UNITS[unitName];
+  if (!units) {
+    throw new MotiveCsvError(`Unsupported length units "${info['Length Units']}"`);
+  }
+  const frameRate = parseFloat(info['Export Frame Rate'] || info['Capture Frame Rate']);
+
+  // Group columns by (type, name) and remember where each component lives.
+  const assets = new Map();
+  for (let col = 2; col < components.length; col++) {
+    const type = types[col];
+    const name = names[col];
+    if (!type || !name) continue;
+    const key = `${type}\u0000${name}`;
+    if (!assets.has(key)) {
+      assets.set(key, { type, name, id: ids[col], columns: {} });
+    }
+    assets.get(key).columns[`${properties[col]}:${components[col]}`] = col;
+  }
+
+  const times = new Float64Array(frames);
+  for (let f = 0; f < frames; f++) {
+    times[f] = parseCell(body[f][1]);
+  }
+
+  const markers = [];
+  const rigidBodyMarkers = [];
+  const rigidBodies = [];
+  for (const asset of assets.values()) {
+    const position = readColumns(body, asset.columns, 'Position', ['X', 'Y', 'Z']);
+    if (asset.type === 'Rigid Body') {
+      let rotation = null;
+      if ('Rotation:W' in asset.columns) {
+        rotation = readColumns(body, asset.columns, 'Rotation', ['X', 'Y', 'Z', 'W']);
+      } else if ('Rotation:X' in asset.columns) {
+        throw new MotiveCsvError(
+          `Rigid body "${asset.name}" uses ${rotationType} rotations; re-export with Rotation Type: Quaternion`
+        );
+      }
+      rigidBodies.push({ name: asset.name, id: asset.id, position, rotation });
+    } else if (asset.type === 'Marker' && position && !/^Unlabeled/i.test(asset.name)) {
+      markers.push({ name: asset.name, position });
+    } else if (asset.type === 'Rigid Body Marker' && position) {
+      rigidBodyMarkers.push({ name: asset.name, position });
+    }
+  }
+
+  return {
+    frameRate,
+    units,
+    frames,
+    times,
+    // Fall back to the solved rigid-body markers when nothing was labelled.
+    markers: markers.length > 0 ? markers : rigidBodyMarkers,
+    rigidBodies,
+  };
+}
+
+function readColumns(body, columns, property, axes) {
+  const cols = axes.map(axis => columns[`${property}:${axis}`]);
+  if (cols.some(col => col === undefined)) return null;
+  const values = new Float32Array(body.length * axes.length);
+  for (let f = 0; f < body.length; f++) {
+    const row = body[f];
+    for (let a = 0; a < axes.length; a++) {
+      values[f * axes.length + a] = parseCell(row[cols[a]]);
+    }
+  }
+  return values;
+}
+
+function parseCell(cell) {
+  if (cell === undefined || cell.trim() === '') return NaN;
+  return parseFloat(cell);
+}
+
+// Split one CSV line, honouring double-quoted fields.
+function splitCsvLine(line) {
+  if (!line.includes('"')) return line.split(',');
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
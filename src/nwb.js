@@ -0,0 +1,110 @@
+// Reader for the `units` table of Neurodata Without Borders (NWB) files.
+//
+// NWB stores spike times as a ragged array: `units/spike_times` holds every
+// spike of every unit back to back and `units/spike_times_index[i]` is the end
+// offset of unit i's spikes. h5wasm (HDF5 compiled to WebAssembly) is large,
+// so it is only loaded once an NWB file is actually opened.
+
+export class NwbError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NwbError';
+  }
+}
+
+// Returns { spikeTimes, spikeNeurons, units, warnings }: spike times (s) and
+// unit ids merged across units and sorted by time, one metadata object per
+// unit ({ id, electrode_group, quality, ... } for every per-unit column), and
+// messages about columns that could not be read.
+export async function readNwbUnits(buffer, fileName = 'session.nwb') {
+  const { default: h5wasm } = await import('h5wasm');
+  const { FS } = await h5wasm.ready;
+  const path = `/tmp-${Date.now()}-${fileName.replace(/[^\w.-]/g, '_')}`;
+  FS.writeFile(path, new Uint8Array(buffer));
+  const file = new h5wasm.File(path, 'r');
+  try {
+    return readUnitsTable(file);
+  } finally {
+    file.close();
+    FS.unlink(path);
+  }
+}
+
+function readUnitsTable(file) {
+  const table = file.get('units');
+  if (!table || !table.keys) {
+    throw new NwbError('NWB file has no units table');
+  }
+  const columns = table.keys();
+  if (!columns.includes('spike_times') || !columns.includes('spike_times_index')) {
+    throw new NwbError('NWB units table has no spike_times column');
+  }
+
+  const ids = toNumbers(table.get('id').value);
+  const times = toNumbers(table.get('spike_times').value);
+  const ends = toNumbers(table.get('spike_times_index').value);
+  if (ends.length !== ids.length) {
+    throw new NwbError(`spike_times_index has ${ends.length} entries for ${ids.length} units`);
+  }
+
+  const units = ids.map((id, i) => ({
+    id,
+    spikeCount: ends[i] - (i > 0 ? ends[i - 1] : 0),
+  }));
+  const warnings = readUnitColumns(file, table, units);
+
+  // Flatten the ragged array into (time, unit) pairs sorted by time.
+  const unitOf = new Array(times.length);
+  let start = 0;
+  ends.forEach((end, i) => {
+    for (let k = start; k < end; k++) unitOf[k] = ids[i];
+    start = end;
+  });
+  const order = Array.from(times.keys()).sort((a, b) => times[a] - times[b]);
+  const spikeTimes = new Float64Array(times.length);
+  const spikeNeurons = new Uint32Array(times.length);
+  order.forEach((k, i) => {
+    spikeTimes[i] = times[k];
+    spikeNeurons[i] = unitOf[k];
+  });
+
+  return { spikeTimes, spikeNeurons, units, warnings };
+}
+
+// Copy every non-ragged per-unit column (electrode_group, quality, location,
+// ...) onto the unit objects. Electrode groups are object references and are
+// reported by group name. Returns a warning for each column skipped.
+function readUnitColumns(file, table, units) {
+  const warnings = [];
+  const skip = new Set(['id', 'spike_times', 'spike_times_index']);
+  for (const name of table.keys()) {
+    if (skip.has(name) || name.endsWith('_index')) continue;
+    if (table.keys().includes(`${name}_index`)) continue; // ragged column
+    const column = table.get(name);
+    if (!column || !column.shape || column.shape.length !== 1 || column.shape[0] !== units.length) continue;
+    let values;
+    try {
+      values = Array.from(column.value);
+    } catch (err) {
+      warnings.push(`Skipped NWB units column ${name} (${err.message})`);
+      continue;
+    }
+    units.forEach((unit, i) => {
+      unit[name] = describeValue(file, values[i]);
+    });
+  }
+  return warnings;
+}
+
+function describeValue(file, value) {
+  if (typeof value === 'bigint') return Number(value);
+  if (value && value.ref_data) {
+    const target = file.dereference(value);
+    return target && target.path ? target.path.split('/').pop() : null;
+  }
+  return value;
+}
+
+function toNumbers(values) {
+  return Array.from(values, Number);
+}
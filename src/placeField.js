@@ -0,0 +1,128 @@
+import { isValidPoint } from './gaps.js';
+import { sampleIndexAt, sweepTo } from './search.js';
+
+// Occupancy-normalised firing-rate maps ("place fields") on the arena floor.
+//
+// Occupancy (seconds per bin) and spike counts are accumulated separately as
+// playback advances, smoothed with the same Gaussian and divided, the usual
+// way of estimating a rate map. Bins visited for less than `minOccupancy`
+// seconds are masked out.
+
+// bounds: { minX, maxX, minZ, maxZ } in metres, binSize in metres.
+export function createRateMap(bounds, binSize) {
+  const nx = Math.max(1, Math.ceil((bounds.maxX - bounds.minX) / binSize));
+  const nz = Math.max(1, Math.ceil((bounds.maxZ - bounds.minZ) / binSize));
+  const occupancy = new Float64Array(nx * nz);
+  const spikes = new Float64Array(nx * nz);
+
+  const binOf = (x, z) => {
+    const ix = Math.floor((x - bounds.minX) / binSize);
+    const iz = Math.floor((z - bounds.minZ) / binSize);
+    if (ix < 0 || iz < 0 || ix >= nx || iz >= nz) return -1;
+    return iz * nx + ix;
+  };
+
+  return {
+    nx,
+    nz,
+
+    addOccupancy(x, z, dt) {
+      const bin = binOf(x, z);
+      if (bin >= 0) occupancy[bin] += dt;
+    },
+
+    // Negative dt / count remove samples again (playing backwards).
+    addSpike(x, z, count = 1) {
+      const bin = binOf(x, z);
+      if (bin >= 0) spikes[bin] += count;
+    },
+
+    // Rates in Hz indexed [iz * nx + ix]; masked bins are NaN. `sigma` is the
+    // smoothing kernel width in bins (0 = none).
+    compute(sigma, minOccupancy) {
+      const occ = gaussianSmooth(occupancy, nx, nz, sigma);
+      const count = gaussianSmooth(spikes, nx, nz, sigma);
+      const rates = new Float32Array(nx * nz);
+      let peak = 0;
+      for (let i = 0; i < rates.length; i++) {
+        // Mask on raw occupancy so smoothing does not leak into unvisited bins.
+        if (occupancy[i] < minOccupancy || occ[i] <= 0) {
+          rates[i] = NaN;
+        } else {
+          rates[i] = count[i] / occ[i];
+          peak = Math.max(peak, rates[i]);
+        }
+      }
+      return { rates, peak };
+    },
+  };
+}
+
+// Keeps `map` in step with the playhead for one unit: rigid-body samples and
+// the unit's spikes are added as playback passes them and subtracted again
+// when it goes back, so each must be removed at the position it was added at.
+// The positions therefore stay fixed for the life of the tracker; when they
+// change (e.g. gap filling), start over with a new map and tracker.
+// maxDt caps the occupancy one sample is credited with, so long dropouts
+// don't all land in one bin.
+export function createRateMapTracker(map, { positions, times, spikeTimes, spikeNeurons, unit, maxDt }) {
+  let sampleIndex = 0;        // Next position sample to add.
+  let spikeIndex = 0;         // Next spike to add.
+
+  // Frame-exact positions, so that subtracting undoes adding exactly.
+  const sampleAt = time => positions[sampleIndexAt(times, time)];
+  const occupancyOf = i => (i + 1 < times.length ? Math.min(times[i + 1] - times[i], maxDt) : 0);
+
+  return {
+    // Returns whether the map changed.
+    update(time) {
+      if (positions.length === 0) return false;
+      let changed = false;
+      sampleIndex = sweepTo(times, sampleIndex, time, (i, sign) => {
+        const p = positions[i];
+        if (isValidPoint(p)) map.addOccupancy(p.x, p.z, sign * occupancyOf(i));
+        changed = true;
+      });
+      spikeIndex = sweepTo(spikeTimes, spikeIndex, time, (k, sign) => {
+        if (spikeNeurons[k] !== unit) return;
+        const p = sampleAt(spikeTimes[k]);
+        if (isValidPoint(p)) map.addSpike(p.x, p.z, sign);
+        changed = true;
+      });
+      return changed;
+    },
+  };
+}
+
+// Separable Gaussian blur of an nx-by-nz grid.
+function gaussianSmooth(grid, nx, nz, sigma) {
+  if (!(sigma > 0)) return grid;
+  const radius = Math.ceil(3 * sigma);
+  const kernel = [];
+  for (let k = -radius; k <= radius; k++) {
+    kernel.push(Math.exp(-(k * k) / (2 * sigma * sigma)));
+  }
+  const tmp = new Float64Array(grid.length);
+  const out = new Float64Array(grid.length);
+  for (let iz = 0; iz < nz; iz++) {
+    for (let ix = 0; ix < nx; ix++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const x = ix + k;
+        if (x >= 0 && x < nx) sum += grid[iz * nx + x] * kernel[k + radius];
+      }
+      tmp[iz * nx + ix] = sum;
+    }
+  }
+  for (let iz = 0; iz < nz; iz++) {
+    for (let ix = 0; ix < nx; ix++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const z = iz + k;
+        if (z >= 0 && z < nz) sum += tmp[z * nx + ix] * kernel[k + radius];
+      }
+      out[iz * nx + ix] = sum;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fillGaps } from './gaps.js';
+import { createRateMap, createRateMapTracker } from './placeField.js';
+
+const bounds = { minX: 0, maxX: 1, minZ: 0, maxZ: 1 };
+const BIN_SIZE = 0.1;
+const RATE = 10;
+const MIN_OCCUPANCY = 0.01;
+const times = Array.from({ length: 10 * RATE }, (_, i) => i / RATE);
+// A sweep along x with a one-second gap in the middle.
+const raw = times.map(t => (t >= 4 && t < 5 ? { x: NaN, y: NaN, z: NaN } : { x: t / 10, y: 0, z: 0.5 }));
+const spikeTimes = times.map(t => t + 0.05);
+const spikeNeurons = times.map(() => 1);
+
+function trackedMap(positions) {
+  const map = createRateMap(bounds, BIN_SIZE);
+  const tracker = createRateMapTracker(map, { positions, times, spikeTimes, spikeNeurons, unit: 1, maxDt: 0.1 });
+  return { map, tracker };
+}
+
+function assertSameRates(actual, expected) {
+  assert.equal(actual.rates.length, expected.rates.length);
+  actual.rates.forEach((rate, i) => {
+    const want = expected.rates[i];
+    if (Number.isNaN(want)) assert.ok(Number.isNaN(rate), `bin ${i}: ${rate} != NaN`);
+    else assert.ok(Math.abs(rate - want) < 1e-9, `bin ${i}: ${rate} != ${want}`);
+  });
+}
+
+test('tracker removes what it added when playing backwards', () => {
+  const { map, tracker } = trackedMap(raw);
+  tracker.update(8);
+  tracker.update(3);
+  const fresh = trackedMap(raw);
+  fresh.tracker.update(3);
+  assertSameRates(map.compute(0, MIN_OCCUPANCY), fresh.map.compute(0, MIN_OCCUPANCY));
+});
+
+test('changing the gap filling while the map is showing starts it over', () => {
+  let { map, tracker } = trackedMap(raw);
+  tracker.update(8);
+  // Filling the gap replaces the positions, as applyGapFilling does; the map
+  // is rebuilt from the filled positions and scrubbed back.
+  const filled = fillGaps(raw, 'linear', 20);
+  ({ map, tracker } = trackedMap(filled));
+  tracker.update(8);
+  tracker.update(4.5);
+
+  const fresh = trackedMap(filled);
+  fresh.tracker.update(4.5);
+  const { rates } = map.compute(0, MIN_OCCUPANCY);
+  assert.ok(rates.every(rate => Number.isNaN(rate) || rate >= 0));
+  assertSameRates(map.compute(0, MIN_OCCUPANCY), fresh.map.compute(0, MIN_OCCUPANCY));
+});
@@ -0,0 +1,90 @@
+// Polar plot of head-direction tuning curves, one closed curve per selected
+// unit in its display colour, plus the current heading. Orientation matches
+// the floor seen from above with +x to the right: 0 rad points right and
+// angles increase counter-clockwise.
+
+const SIZE = 180;
+const BACKGROUND = 'rgba(0, 0, 0, 0.6)';
+
+export function createPolarPlot(container) {
+  const canvas = document.createElement('canvas');
+  canvas.id = 'tuning';
+  container.appendChild(canvas);
+  const ctx = canvas.getContext('2d');
+
+  return {
+    element: canvas,
+
+    setVisible(visible) {
+      canvas.style.display = visible ? 'block' : 'none';
+    },
+
+    // curves: Map id -> rates per bin (bin i centred on -π + (i + 0.5) · 2π / n),
+    // colors: { id: THREE.Color }, peak: rate at the outer ring, heading: NaN if unknown.
+    draw({ curves, colors, peak, heading }) {
+      const dpr = window.devicePixelRatio || 1;
+      if (canvas.width !== Math.round(SIZE * dpr)) {
+        canvas.width = canvas.height = Math.round(SIZE * dpr);
+      }
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, SIZE, SIZE);
+      ctx.fillStyle = BACKGROUND;
+      ctx.fillRect(0, 0, SIZE, SIZE);
+
+      const cx = SIZE / 2;
+      const cy = SIZE / 2;
+      const radius = SIZE / 2 - 16;
+      const at = (angle, r) => [cx + r * Math.cos(angle), cy - r * Math.sin(angle)];
+
+      // Rings at half and full scale, and axes.
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+      ctx.lineWidth = 1;
+      for (const r of [radius / 2, radius]) {
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+        ctx.stroke();
+      }
+      ctx.beginPath();
+      ctx.moveTo(cx - radius, cy);
+      ctx.lineTo(cx + radius, cy);
+      ctx.moveTo(cx, cy - radius);
+      ctx.lineTo(cx, cy + radius);
+      ctx.stroke();
+
+      if (peak > 0) {
+        ctx.lineWidth = 1.5;
+        for (const [id, rates] of curves) {
+          if (!colors[id]) continue;
+          ctx.strokeStyle = colors[id].getStyle();
+          ctx.beginPath();
+          const n = rates.length;
+          for (let i = 0; i <= n; i++) {
+            const rate = rates[i % n];
+            const angle = -Math.PI + ((i % n) + 0.5) * (2 * Math.PI / n);
+            const [x, y] = at(angle, Number.isNaN(rate) ? 0 : (rate / peak) * radius);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+          }
+          ctx.stroke();
+        }
+      }
+
+      if (!Number.isNaN(heading)) {
+        const [x, y] = at(heading, radius + 6);
+        ctx.strokeStyle = '#ffa500';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+      }
+
+      ctx.font = '10px monospace';
+      ctx.fillStyle = '#aaa';
+      ctx.textBaseline = 'top';
+      ctx.fillText('Head direction', 4, 3);
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(`peak ${peak.toFixed(1)} Hz`, 4, SIZE - 2);
+    },
+  };
+}
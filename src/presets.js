@@ -0,0 +1,76 @@
+// Display presets: the values of the GUI's controls, saved to and loaded from
+// JSON as { "version": 1, "<section>": { "<property>": value, ... }, ... }.
+//
+// `sections` maps section names to the control objects behind the GUI. Only
+// properties that have a controller are part of a preset, so playback state
+// and buttons stay out of it. Loading goes through the controllers so that
+// each setting's onChange takes effect; settings that only take effect on
+// finishing an edit are left to the caller. Sections, properties or values
+// that don't match the current GUI are skipped, so older presets still load.
+
+export class PresetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PresetError';
+  }
+}
+
+const PRESET_VERSION = 1;
+
+export function capturePreset(gui, sections) {
+  const preset = { version: PRESET_VERSION };
+  Object.entries(sections).forEach(([name, object]) => {
+    const values = {};
+    Object.keys(object).forEach(property => {
+      const value = object[property];
+      if (typeof value === 'function' || typeof value === 'object') return;
+      if (controllerFor(gui, object, property)) values[property] = value;
+    });
+    preset[name] = values;
+  });
+  return preset;
+}
+
+export function parsePreset(text) {
+  let preset;
+  try {
+    preset = JSON.parse(text);
+  } catch (err) {
+    throw new PresetError(`Preset is not valid JSON (${err.message})`);
+  }
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+    throw new PresetError('Preset must be a JSON object of settings sections');
+  }
+  if (preset.version > PRESET_VERSION) {
+    throw new PresetError(`Preset version ${preset.version} is newer than this viewer supports`);
+  }
+  return preset;
+}
+
+// Returns the number of settings applied.
+export function applyPreset(gui, sections, preset) {
+  let applied = 0;
+  Object.entries(sections).forEach(([name, object]) => {
+    const values = preset[name];
+    if (!values || typeof values !== 'object') return;
+    Object.entries(values).forEach(([property, value]) => {
+      if (!(property in object) || typeof value !== typeof object[property]) return;
+      const controller = controllerFor(gui, object, property);
+      if (!controller) return;
+      controller.setValue(value);
+      applied++;
+    });
+  });
+  return applied;
+}
+
+// The dat.GUI controller for object[property], searching subfolders too.
+export function controllerFor(folder, object, property) {
+  const own = folder.__controllers.find(c => c.object === object && c.property === property);
+  if (own) return own;
+  for (const subfolder of Object.values(folder.__folders)) {
+    const controller = controllerFor(subfolder, object, property);
+    if (controller) return controller;
+  }
+  return null;
+}
@@ -0,0 +1,103 @@
+import { lowerBound, upperBound } from './search.js';
+
+// 2D spike raster strip: one row per unit, time on x in a window centred on
+// the playhead. Selected units are drawn in their display colour, the rest in
+// grey. Clicking or dragging on the strip seeks to the time under the cursor.
+
+const HEIGHT = 120;
+const LABEL_WIDTH = 36;
+const BACKGROUND = 'rgba(0, 0, 0, 0.6)';
+const UNSELECTED = 'rgba(160, 160, 160, 0.45)';
+
+export function createRaster(container, { onSeek }) {
+  const canvas = document.createElement('canvas');
+  canvas.id = 'raster';
+  container.appendChild(canvas);
+  const ctx = canvas.getContext('2d');
+
+  // Last drawn view, used to map clicks back to time.
+  let view = null;
+
+  const seekAt = event => {
+    if (!view) return;
+    const rect = canvas.getBoundingClientRect();
+    const x = event.clientX - rect.left - LABEL_WIDTH;
+    const width = rect.width - LABEL_WIDTH;
+    if (x < 0) return;
+    onSeek(view.from + (x / width) * (view.to - view.from));
+  };
+  canvas.addEventListener('pointerdown', event => {
+    canvas.setPointerCapture(event.pointerId);
+    seekAt(event);
+  });
+  canvas.addEventListener('pointermove', event => {
+    if (event.buttons & 1) seekAt(event);
+  });
+
+  return {
+    element: canvas,
+
+    setVisible(visible) {
+      canvas.style.display = visible ? 'block' : 'none';
+    },
+
+    // units: [{ id }], colors: { id: THREE.Color } for the selected units.
+    draw({ spikeTimes, spikeNeurons, units, colors, time, halfWindow }) {
+      const dpr = window.devicePixelRatio || 1;
+      const cssWidth = canvas.clientWidth;
+      if (canvas.width !== Math.round(cssWidth * dpr) || canvas.height !== Math.round(HEIGHT * dpr)) {
+        canvas.width = Math.round(cssWidth * dpr);
+        canvas.height = Math.round(HEIGHT * dpr);
+      }
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, cssWidth, HEIGHT);
+      ctx.fillStyle = BACKGROUND;
+      ctx.fillRect(0, 0, cssWidth, HEIGHT);
+
+      const from = time - halfWindow;
+      const to = time + halfWindow;
+      view = { from, to };
+      const plotWidth = cssWidth - LABEL_WIDTH;
+      const rows = new Map(units.map((unit, i) => [unit.id, i]));
+      const rowHeight = HEIGHT / Math.max(1, units.length);
+      const xOf = t => LABEL_WIDTH + ((t - from) / (to - from)) * plotWidth;
+
+      // Highlight bands and labels for the selected units.
+      ctx.font = '10px monospace';
+      ctx.textBaseline = 'middle';
+      for (const [id, color] of Object.entries(colors)) {
+        const row = rows.get(Number(id));
+        if (row === undefined) continue;
+        const style = color.getStyle();
+        ctx.globalAlpha = 0.15;
+        ctx.fillStyle = style;
+        ctx.fillRect(LABEL_WIDTH, row * rowHeight, plotWidth, Math.max(rowHeight, 1));
+        ctx.globalAlpha = 1;
+        ctx.fillText(String(id), 2, Math.min(Math.max((row + 0.5) * rowHeight, 6), HEIGHT - 6));
+      }
+
+      const tickWidth = Math.max(1, plotWidth / 2000);
+      const tickHeight = Math.max(rowHeight, 1);
+      const first = lowerBound(spikeTimes, from);
+      const last = upperBound(spikeTimes, to);
+      for (let k = first; k < last; k++) {
+        const id = spikeNeurons[k];
+        const row = rows.get(id);
+        if (row === undefined) continue;
+        const color = colors[id];
+        ctx.fillStyle = color ? color.getStyle() : UNSELECTED;
+        ctx.fillRect(xOf(spikeTimes[k]), row * rowHeight, tickWidth, tickHeight);
+      }
+
+      // Playhead and window labels.
+      ctx.fillStyle = '#ffa500';
+      ctx.fillRect(xOf(time) - 0.5, 0, 1, HEIGHT);
+      ctx.fillStyle = '#aaa';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(`-${halfWindow}s`, LABEL_WIDTH + 2, HEIGHT - 1);
+      ctx.textAlign = 'right';
+      ctx.fillText(`+${halfWindow}s`, cssWidth - 2, HEIGHT - 1);
+      ctx.textAlign = 'left';
+    },
+  };
+}
@@ -0,0 +1,47 @@
+// Binary searches over sorted numeric arrays (timestamps).
+
+// Index of the first element > value (i.e. the number of elements <= value).
+export function upperBound(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (sorted[mid] <= value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Index of the first element >= value.
+export function lowerBound(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (sorted[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Index of the sample in effect at `time`: the last timestamp <= time, clamped
+// to the valid range.
+export function sampleIndexAt(times, time) {
+  return Math.min(Math.max(upperBound(times, time) - 1, 0), times.length - 1);
+}
+
+// Move a cursor over sorted timestamps to `time`. Entries passed going forward
+// are visited with sign +1 and entries passed going backward with sign -1, so
+// accumulators can be kept up to date while playing in either direction.
+// Returns the new cursor (the number of entries <= time).
+export function sweepTo(times, cursor, time, visit) {
+  while (cursor < times.length && times[cursor] <= time) {
+    visit(cursor, 1);
+    cursor++;
+  }
+  while (cursor > 0 && times[cursor - 1] > time) {
+    cursor--;
+    visit(cursor, -1);
+  }
+  return cursor;
+}
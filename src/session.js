@@ -0,0 +1,540 @@
+// Session manifest loading.
+//
+// A session manifest is a JSON file that declares the binary streams making up
+// a recording, e.g.
+//
+//   {
+//     "name": "markers8",
+//     "streams": {
+//       "markers": {
+//         "files": ["markers8_x.bin", "markers8_y.bin", "markers8_z.bin"],
+//         "dtype": "float32",
+//         "shape": [100001, 8, 3],
+//         "layout": "planar",
+//         "sampleRate": 120,
+//         "units": "m"
+//       },
+//       ...
+//     }
+//   }
+//
+// An "interleaved" stream is a single row-major file. A "planar" stream is split
+// into one file per component of the last axis (e.g. separate x, y and z files),
+// each row-major over the remaining axes. The first shape entry may be null, in
+// which case the sample count is inferred from the file size.
+//
+// A stream with "format": "c3d" is read from a C3D file instead; its shape,
+// sample rate, units and marker names then come from the file itself.
+// Likewise "format": "motive-csv" reads a Motive CSV export; it can supply
+// the markers, rigidBody, rigidBodyRotation and frameTimes streams, with the
+// rigid body picked by its "rigidBody" name (default: the first one).
+// "format": "nwb" reads spikeTimes/spikeNeurons from the units table of an NWB
+// file, which also provides per-unit metadata (electrode group, quality, ...).
+//
+// Sampled streams (markers, rigidBody, rigidBodyRotation) are placed on the
+// session clock by their own timestamps: "timestamps" may name a 1-D time
+// stream in the manifest; otherwise frameTimes is used when it has one entry
+// per sample, and failing that samples are assumed regular at "sampleRate"
+// starting from the first frame time. session.frameTimes always holds the
+// marker timestamps.
+//
+// "selectedNeurons" picks the units to display, either as a list of ids or as
+// a filter on unit metadata such as { "quality": "good" }.
+//
+// "skeleton" defines how markers are grouped, coloured and connected, inline
+// or as the path of a JSON file (see skeleton.js). Without one the original
+// 8-marker layout is used. Likewise "cameras" gives the tracking-camera
+// calibration (see calibration.js); without it a generic rig is shown.
+// "arena" describes the arena walls, floor and objects, or names a glTF/OBJ
+// model of them (see arena.js); without it a plain floor grid is shown.
+
+import { readFileAsArrayBuffer, readFileAsText } from './files.js';
+import { parseC3D } from './c3d.js';
+import { parseMotiveCsv } from './motiveCsv.js';
+import { readNwbUnits } from './nwb.js';
+import { defaultSkeleton, resolveSkeleton } from './skeleton.js';
+import { parseCalibration } from './calibration.js';
+import { loadArena } from './arena.js';
+
+const DTYPES = {
+  float32: Float32Array,
+  float64: Float64Array,
+  int8: Int8Array,
+  uint8: Uint8Array,
+  int16: Int16Array,
+  uint16: Uint16Array,
+  int32: Int32Array,
+  uint32: Uint32Array,
+};
+
+// Scale factors into scene units (metres, seconds).
+const LENGTH_UNITS = { m: 1, cm: 0.01, mm: 0.001 };
+const TIME_UNITS = { s: 1, ms: 0.001, us: 1e-6 };
+
+export class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+// Resolve the manifest URL from a `?session=` value. Bare names are looked up
+// next to the page as `<name>.json`.
+export function manifestUrlFor(sessionParam) {
+  const name = sessionParam || 'session';
+  const path = /\.json$/i.test(name) ? name : `${name}.json`;
+  return new URL(path, window.location.href).href;
+}
+
+// Fetch a manifest and all of its streams over HTTP.
+export async function loadSessionFromUrl(manifestUrl) {
+  const response = await fetch(manifestUrl);
+  if (!response.ok) {
+    throw new SessionError(`Could not load session manifest ${manifestUrl} (HTTP ${response.status})`);
+  }
+  const manifest = await response.json();
+  return loadSession(manifest, async (file) => {
+    const url = new URL(file, manifestUrl).href;
+    const r = await fetch(url);
+    if (!r.ok) {
+      throw new SessionError(`Could not load ${file} (HTTP ${r.status})`);
+    }
+    return r.arrayBuffer();
+  });
+}
+
+// Load a session from local files (a Map of relative path -> Blob, as produced
+// by the drop zone). Stream files are resolved relative to the manifest.
+export async function loadSessionFromFiles(files) {
+  const manifestPath = findManifest(files);
+  if (!manifestPath) {
+    // A lone C3D file is a complete (markers-only) session.
+    const c3dPath = Array.from(files.keys()).find(path => /\.c3d$/i.test(path));
+    if (c3dPath) {
+      const manifest = {
+        name: c3dPath.replace(/^.*\//, '').replace(/\.c3d$/i, ''),
+        streams: { markers: { format: 'c3d', file: c3dPath } },
+      };
+      return loadSession(manifest, file => readFileAsArrayBuffer(files.get(file)));
+    }
+    // So is a lone Motive CSV export, including its rigid body if it has one.
+    const csvPath = Array.from(files.keys()).find(path => /\.csv$/i.test(path));
+    if (csvPath) {
+      const csv = parseMotiveCsv(await readFileAsText(files.get(csvPath)));
+      const source = { format: 'motive-csv', file: csvPath };
+      const streams = { markers: source, frameTimes: source };
+      if (csv.rigidBodies.length > 0) {
+        streams.rigidBody = source;
+        if (csv.rigidBodies[0].rotation) streams.rigidBodyRotation = source;
+      }
+      const manifest = { name: csvPath.replace(/^.*\//, '').replace(/\.csv$/i, ''), streams };
+      return loadSession(manifest, file => readFileAsArrayBuffer(files.get(file)), new Map([[csvPath, csv]]));
+    }
+    throw new SessionError('No session manifest (.json), .c3d or Motive .csv file among the dropped files');
+  }
+  const manifest = JSON.parse(await readFileAsText(files.get(manifestPath)));
+  const dir = manifestPath.slice(0, manifestPath.lastIndexOf('/') + 1);
+  return loadSession(manifest, file => {
+    const blob = files.get(dir + file) || files.get(file);
+    if (!blob) {
+      throw new SessionError(`${file} is referenced by ${manifestPath} but was not dropped`);
+    }
+    return readFileAsArrayBuffer(blob);
+  });
+}
+
+// Load only spikes (an NWB units table) from dropped files, to replace the
+// spikes of the current session. Returns null if the drop contains a whole
+// session instead.
+export async function loadSpikesFromFiles(files) {
+  const paths = Array.from(files.keys());
+  if (findManifest(files) || paths.some(path => /\.(c3d|csv)$/i.test(path))) return null;
+  const nwbPath = paths.find(path => /\.nwb$/i.test(path));
+  if (!nwbPath) return null;
+  return readNwbUnits(await readFileAsArrayBuffer(files.get(nwbPath)), nwbPath);
+}
+
+// Parse a `?units=` selector: comma-separated unit ids ("60,61") or
+// column:value filters ("quality:good,electrode_group:shank1").
+export function parseUnitSelector(text) {
+  const tokens = text.split(',').map(t => t.trim()).filter(Boolean);
+  if (tokens.every(t => /^\d+$/.test(t))) return tokens.map(Number);
+  const filter = {};
+  for (const token of tokens) {
+    const [key, value] = token.split(':');
+    if (value === undefined) {
+      throw new SessionError(`Bad unit selector "${token}" (expected column:value)`);
+    }
+    (filter[key] = filter[key] || []).push(value);
+  }
+  return filter;
+}
+
+// Resolve a selector (see parseUnitSelector) to unit ids. A filter keeps the
+// units matching every column, where each column may list several values.
+export function selectUnits(units, selector) {
+  if (Array.isArray(selector)) return selector.slice();
+  return units
+    .filter(unit => Object.entries(selector).every(([key, wanted]) => {
+      const values = Array.isArray(wanted) ? wanted : [wanted];
+      return values.some(v => String(unit[key]) === String(v));
+    }))
+    .map(unit => unit.id);
+}
+
+// Spike counts per unit id, for sessions without a units table.
+export function describeUnits(spikeNeurons) {
+  const counts = new Map();
+  for (const id of spikeNeurons) {
+    counts.set(id, (counts.get(id) || 0) + 1);
+  }
+  return Array.from(counts, ([id, spikeCount]) => ({ id, spikeCount })).sort((a, b) => a.id - b.id);
+}
+
+// Prefer a file called session.json, otherwise the shallowest .json file.
+function findManifest(files) {
+  const candidates = Array.from(files.keys())
+    .filter(path => /\.json$/i.test(path))
+    .sort((a, b) => a.split('/').length - b.split('/').length);
+  return candidates.find(path => /(^|\/)session\.json$/i.test(path)) || candidates[0];
+}
+
+// Build a session from a parsed manifest. `readFile(name)` must resolve to an
+// ArrayBuffer with the contents of the named stream file. `parsed` caches
+// container files (e.g. CSV exports) that several streams are read from.
+export async function loadSession(manifest, readFile, parsed = new Map()) {
+  const streams = manifest.streams || {};
+  if (!streams.markers) {
+    throw new SessionError('Session manifest has no "markers" stream');
+  }
+
+  const names = Object.keys(streams);
+  const decoded = await Promise.all(names.map(name => readStream(name, streams[name], readFile, parsed)));
+  const data = {};
+  names.forEach((name, i) => { data[name] = decoded[i]; });
+
+  const markers = data.markers;
+  if (markers.shape.length !== 3 || markers.shape[2] !== 3) {
+    throw new SessionError(`markers: expected shape [samples, markers, 3], got [${markers.shape.join(', ')}]`);
+  }
+  const sampleRate = markers.sampleRate ?? manifest.sampleRate;
+  if (!(sampleRate > 0)) {
+    throw new SessionError('markers: no sampleRate declared in the session manifest');
+  }
+  const markersCount = markers.shape[1];
+  const skeleton = await readJsonSection('skeleton', manifest.skeleton, readFile);
+  const calibration = await readJsonSection('cameras', manifest.cameras, readFile);
+  const arena = await readJsonSection('arena', manifest.arena, readFile);
+  const markerNames = markers.names || (skeleton && skeleton.markers)
+    || Array.from({ length: markersCount }, (_, i) => `marker${i}`);
+  if (markerNames.length !== markersCount) {
+    throw new SessionError(`markers: ${markerNames.length} names given for ${markersCount} markers`);
+  }
+
+  const session = {
+    name: manifest.name || 'session',
+    manifest,
+    sampleRate,
+    markerNames,
+    skeleton: resolveSkeleton(skeleton || defaultSkeleton(markersCount), markerNames),
+    cameras: calibration ? parseCalibration(calibration) : null,
+    arena: arena ? await loadArena(arena, readFile) : null,
+    markerData: toPointArrays(markers, lengthScale('markers', markers.units)),
+    rbposData: [],
+    rbRotData: [],              // Quaternions {x, y, z, w}, when available.
+    frameTimes: null,           // Marker timestamps (s).
+    rbTimes: new Float64Array(0),
+    rbRotTimes: new Float64Array(0),
+    rbSampleRate: sampleRate,
+    spikeTimes: new Float32Array(0),
+    spikeNeurons: new Uint16Array(0),
+    units: [],                  // Per-unit metadata, at least { id, spikeCount }.
+    warnings: [],               // Problems that did not stop the load.
+  };
+
+  if (data.rigidBody) {
+    const rb = data.rigidBody;
+    if (rb.shape.length !== 2 || rb.shape[1] !== 3) {
+      throw new SessionError(`rigidBody: expected shape [samples, 3], got [${rb.shape.join(', ')}]`);
+    }
+    session.rbposData = toPointArrays(
+      { values: rb.values, shape: [rb.shape[0], 1, 3] },
+      lengthScale('rigidBody', rb.units)
+    )[0];
+  }
+  if (data.rigidBodyRotation) {
+    const rot = data.rigidBodyRotation;
+    if (rot.shape.length !== 2 || rot.shape[1] !== 4) {
+      throw new SessionError(`rigidBodyRotation: expected shape [samples, 4], got [${rot.shape.join(', ')}]`);
+    }
+    session.rbRotData = new Array(rot.shape[0]);
+    for (let j = 0; j < rot.shape[0]; j++) {
+      const v = rot.values;
+      session.rbRotData[j] = { x: v[j * 4], y: v[j * 4 + 1], z: v[j * 4 + 2], w: v[j * 4 + 3] };
+    }
+  }
+  const frameTimes = data.frameTimes
+    ? toTimes(data.frameTimes, timeScale('frameTimes', data.frameTimes.units))
+    : null;
+  const clock = { manifest, data, frameTimes, start: frameTimes && frameTimes.length > 0 ? frameTimes[0] : 0 };
+  session.frameTimes = streamTimes('markers', markers.shape[0], sampleRate, clock);
+  if (data.rigidBody) {
+    session.rbSampleRate = data.rigidBody.sampleRate ?? sampleRate;
+    session.rbTimes = streamTimes('rigidBody', session.rbposData.length, session.rbSampleRate, clock);
+  }
+  if (data.rigidBodyRotation) {
+    const rate = data.rigidBodyRotation.sampleRate ?? session.rbSampleRate;
+    session.rbRotTimes = streamTimes('rigidBodyRotation', session.rbRotData.length, rate, clock);
+  }
+  if (data.spikeTimes) {
+    session.spikeTimes = toTimes(data.spikeTimes, timeScale('spikeTimes', data.spikeTimes.units));
+  }
+  if (data.spikeNeurons) {
+    session.spikeNeurons = data.spikeNeurons.values;
+    session.units = data.spikeNeurons.unitTable || describeUnits(session.spikeNeurons);
+    session.warnings.push(...(data.spikeNeurons.warnings || []));
+  }
+  if (session.spikeTimes.length !== session.spikeNeurons.length) {
+    throw new SessionError(
+      `spikeTimes has ${session.spikeTimes.length} entries but spikeNeurons has ${session.spikeNeurons.length}`
+    );
+  }
+  return session;
+}
+
+// A manifest section that may be inline or the path of a JSON file.
+async function readJsonSection(name, spec, readFile) {
+  if (typeof spec !== 'string') return spec || null;
+  const text = new TextDecoder().decode(await readFile(spec));
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new SessionError(`${name}: ${spec} is not valid JSON (${err.message})`);
+  }
+}
+
+// Read and validate one stream, returning its values in row-major
+// (interleaved) order together with the resolved shape and metadata.
+async function readStream(name, spec, readFile, parsed) {
+  if (spec.format === 'c3d') {
+    return readC3DStream(name, spec, readFile);
+  }
+  if (spec.format === 'motive-csv') {
+    return readMotiveStream(name, spec, readFile, parsed);
+  }
+  if (spec.format === 'nwb') {
+    return readNwbStream(name, spec, readFile, parsed);
+  }
+  const ArrayType = DTYPES[spec.dtype];
+  if (!ArrayType) {
+    throw new SessionError(`${name}: unsupported dtype "${spec.dtype}"`);
+  }
+  const layout = spec.layout || 'interleaved';
+  if (layout !== 'interleaved' && layout !== 'planar') {
+    throw new SessionError(`${name}: unknown layout "${layout}"`);
+  }
+  const files = spec.files || (spec.file ? [spec.file] : []);
+  const shape = (spec.shape || [null]).slice();
+  const components = layout === 'planar' ? shape[shape.length - 1] : 1;
+  if (files.length !== components) {
+    throw new SessionError(
+      `${name}: ${layout} layout with shape [${shape.join(', ')}] needs ${components} file(s), got ${files.length}`
+    );
+  }
+
+  const buffers = await Promise.all(files.map(readFile));
+  const itemSize = ArrayType.BYTES_PER_ELEMENT;
+  // Elements per sample within a single file.
+  const rowSize = shape.slice(1).reduce((a, b) => a * b, 1) / components;
+  buffers.forEach((buffer, i) => {
+    const bytes = buffer.byteLength;
+    if (shape[0] == null) {
+      if (bytes % (itemSize * rowSize) !== 0) {
+        throw new SessionError(
+          `${name}: ${files[i]} is ${bytes} bytes, not a whole number of ${spec.dtype} samples of size ${rowSize}`
+        );
+      }
+      shape[0] = bytes / (itemSize * rowSize);
+    }
+    const expected = shape[0] * rowSize * itemSize;
+    if (bytes !== expected) {
+      throw new SessionError(
+        `${name}: ${files[i]} is ${bytes} bytes, expected ${expected} (shape [${shape.join(', ')}], ${spec.dtype}, ${layout})`
+      );
+    }
+  });
+
+  const arrays = buffers.map(buffer => new ArrayType(buffer));
+  const meta = { units: spec.units, sampleRate: spec.sampleRate, names: spec.names };
+  if (layout === 'interleaved') {
+    return { values: arrays[0], shape, ...meta };
+  }
+  const perFile = arrays[0].length;
+  const values = new ArrayType(perFile * components);
+  for (let c = 0; c < components; c++) {
+    const src = arrays[c];
+    for (let k = 0; k < perFile; k++) {
+      values[k * components + c] = src[k];
+    }
+  }
+  return { values, shape, ...meta };
+}
+
+// C3D point data, converted to the viewer's Y-up axes. The file's POINT:Y_SCREEN
+// parameter decides the vertical axis unless the manifest sets "upAxis".
+async function readC3DStream(name, spec, readFile) {
+  const file = spec.file || (spec.files && spec.files[0]);
+  if (!file) {
+    throw new SessionError(`${name}: c3d stream needs a "file"`);
+  }
+  const c3d = parseC3D(await readFile(file));
+  const upAxis = (spec.upAxis || (/Y/i.test(c3d.yScreen) ? 'y' : 'z')).toLowerCase();
+  const values = c3d.points;
+  if (upAxis === 'z') {
+    // (x, y, z) Z-up -> (x, z, -y) Y-up, keeping the frame right-handed.
+    for (let k = 0; k < values.length; k += 3) {
+      const y = values[k + 1];
+      values[k + 1] = values[k + 2];
+      values[k + 2] = -y;
+    }
+  }
+  return {
+    values,
+    shape: [c3d.frames, c3d.pointCount, 3],
+    units: spec.units || c3d.units,
+    sampleRate: spec.sampleRate ?? c3d.frameRate,
+    names: spec.names || c3d.labels,
+  };
+}
+
+// Timestamps for a sampled stream; see the header comment for the rules.
+function streamTimes(name, samples, sampleRate, { manifest, data, frameTimes, start }) {
+  const ref = manifest.streams[name].timestamps;
+  if (ref) {
+    const stream = data[ref];
+    if (!stream || stream.shape.length !== 1) {
+      throw new SessionError(`${name}: timestamps stream "${ref}" is missing or not 1-D`);
+    }
+    const times = toTimes(stream, timeScale(ref, stream.units));
+    if (times.length !== samples) {
+      throw new SessionError(`${name}: ${samples} samples but ${times.length} timestamps in "${ref}"`);
+    }
+    return times;
+  }
+  if (frameTimes && frameTimes.length === samples) return frameTimes;
+  const times = new Float64Array(samples);
+  for (let i = 0; i < samples; i++) {
+    times[i] = start + i / sampleRate;
+  }
+  return times;
+}
+
+// One stream out of a Motive CSV export. The file is parsed once and shared
+// between all streams that reference it.
+async function readMotiveStream(name, spec, readFile, parsed) {
+  const file = spec.file;
+  if (!file) {
+    throw new SessionError(`${name}: motive-csv stream needs a "file"`);
+  }
+  if (!parsed.has(file)) {
+    parsed.set(file, Promise.resolve(readFile(file)).then(buffer => parseMotiveCsv(new TextDecoder().decode(buffer))));
+  }
+  const csv = await parsed.get(file);
+  const sampleRate = spec.sampleRate ?? csv.frameRate;
+
+  if (name === 'markers') {
+    const count = csv.markers.length;
+    const values = new Float32Array(csv.frames * count * 3);
+    csv.markers.forEach((marker, i) => {
+      for (let j = 0; j < csv.frames; j++) {
+        const out = (j * count + i) * 3;
+        values[out] = marker.position[j * 3];
+        values[out + 1] = marker.position[j * 3 + 1];
+        values[out + 2] = marker.position[j * 3 + 2];
+      }
+    });
+    return {
+      values,
+      shape: [csv.frames, count, 3],
+      units: spec.units || csv.units,
+      sampleRate,
+      names: spec.names || csv.markers.map(marker => marker.name),
+    };
+  }
+  if (name === 'frameTimes') {
+    return { values: csv.times, shape: [csv.frames], units: 's' };
+  }
+  if (name === 'rigidBody' || name === 'rigidBodyRotation') {
+    const body = spec.rigidBody
+      ? csv.rigidBodies.find(rb => rb.name === spec.rigidBody)
+      : csv.rigidBodies[0];
+    if (!body) {
+      throw new SessionError(`${name}: rigid body "${spec.rigidBody || ''}" not found in ${file}`);
+    }
+    if (name === 'rigidBody') {
+      return { values: body.position, shape: [csv.frames, 3], units: spec.units || csv.units, sampleRate };
+    }
+    if (!body.rotation) {
+      throw new SessionError(`${name}: rigid body "${body.name}" has no rotation columns in ${file}`);
+    }
+    return { values: body.rotation, shape: [csv.frames, 4], sampleRate };
+  }
+  throw new SessionError(`${name}: cannot be read from a Motive CSV export`);
+}
+
+// spikeTimes or spikeNeurons from an NWB units table.
+async function readNwbStream(name, spec, readFile, parsed) {
+  const file = spec.file;
+  if (!file) {
+    throw new SessionError(`${name}: nwb stream needs a "file"`);
+  }
+  if (!parsed.has(file)) {
+    parsed.set(file, Promise.resolve(readFile(file)).then(buffer => readNwbUnits(buffer, file)));
+  }
+  const nwb = await parsed.get(file);
+  if (name === 'spikeTimes') {
+    return { values: nwb.spikeTimes, shape: [nwb.spikeTimes.length], units: 's' };
+  }
+  if (name === 'spikeNeurons') {
+    return { values: nwb.spikeNeurons, shape: [nwb.spikeNeurons.length], unitTable: nwb.units, warnings: nwb.warnings };
+  }
+  throw new SessionError(`${name}: cannot be read from an NWB units table`);
+}
+
+// [samples, points, 3] values -> one array of {x, y, z} per point. Many
+// tracking systems write dropouts as exactly (0, 0, 0); those become NaN gaps.
+function toPointArrays({ values, shape }, scale) {
+  const [samples, points] = shape;
+  const result = [];
+  for (let i = 0; i < points; i++) {
+    const data = new Array(samples);
+    for (let j = 0; j < samples; j++) {
+      const idx = (j * points + i) * 3;
+      const x = values[idx], y = values[idx + 1], z = values[idx + 2];
+      data[j] = (x === 0 && y === 0 && z === 0)
+        ? { x: NaN, y: NaN, z: NaN }
+        : { x: x * scale, y: y * scale, z: z * scale };
+    }
+    result.push(data);
+  }
+  return result;
+}
+
+function toTimes({ values }, scale) {
+  if (scale === 1 && values instanceof Float32Array) return values;
+  return Float64Array.from(values, v => v * scale);
+}
+
+function lengthScale(name, units = 'm') {
+  if (!(units in LENGTH_UNITS)) {
+    throw new SessionError(`${name}: unknown length units "${units}"`);
+  }
+  return LENGTH_UNITS[units];
+}
+
+function timeScale(name, units = 's') {
+  if (!(units in TIME_UNITS)) {
+    throw new SessionError(`${name}: unknown time units "${units}"`);
+  }
+  return TIME_UNITS[units];
+}
@@ -0,0 +1,97 @@
+// Marker skeletons: which markers belong together and how they are drawn.
+//
+// A skeleton is given in the session manifest as "skeleton", either inline or
+// as the path of a JSON file relative to the manifest, e.g.
+//
+//   {
+//     "markers": ["back1", "back2", "back3", "head1", "head2", ...],
+//     "segments": [
+//       { "name": "back", "markers": ["back1", "back2", "back3"], "color": "#ffffff", "edges": "chain" },
+//       { "name": "head", "markers": [3, 4, 5, 6, 7], "color": "#00ff00", "edges": "all",
+//         "rigidBody": true }
+//     ]
+//   }
+//
+// "markers" optionally names the session's markers by index (used when the
+// marker stream has no names of its own). Segment markers are referred to by
+// name or index. "edges" is "chain" (consecutive markers), "all" (every pair),
+// "none" or a list of [a, b] pairs; lines are drawn in "lineColor" (default
+// white). Head direction is derived from the segment marked "rigidBody".
+// Markers that are in no segment are drawn green, without lines.
+
+export class SkeletonError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SkeletonError';
+  }
+}
+
+const DEFAULT_MARKER_COLOR = '#00ff00';
+const DEFAULT_LINE_COLOR = '#ffffff';
+
+// The layout of the original 8-marker recordings: a three-marker back
+// polyline and an all-pairs five-marker head implant.
+export function defaultSkeleton(markerCount) {
+  const segments = [];
+  if (markerCount > 0) {
+    const back = Array.from({ length: Math.min(markerCount, 3) }, (_, i) => i);
+    segments.push({ name: 'back', markers: back, color: '#ffffff', edges: 'chain' });
+  }
+  if (markerCount >= 8) {
+    segments.push({ name: 'head', markers: [3, 4, 5, 6, 7], color: '#00ff00', edges: 'all', rigidBody: true });
+  }
+  return { segments };
+}
+
+// Resolve a skeleton definition against the session's marker names, giving
+// marker indices, per-marker colours and edges as index pairs:
+//   { segments: [{ name, markers, color, lineColor, edges, rigidBody }],
+//     markerColors, rigidBodyMarkers }
+export function resolveSkeleton(definition, markerNames) {
+  if (!definition || typeof definition !== 'object' || !Array.isArray(definition.segments)) {
+    throw new SkeletonError('skeleton: expected an object with a "segments" list');
+  }
+  const byName = new Map(markerNames.map((name, i) => [name, i]));
+  const markerColors = markerNames.map(() => DEFAULT_MARKER_COLOR);
+
+  const segments = definition.segments.map((spec, s) => {
+    const name = spec.name || `segment${s}`;
+    const indexOf = ref => {
+      const index = typeof ref === 'number' ? ref : byName.get(ref);
+      if (!Number.isInteger(index) || index < 0 || index >= markerNames.length) {
+        throw new SkeletonError(`skeleton: segment "${name}" refers to unknown marker ${JSON.stringify(ref)}`);
+      }
+      return index;
+    };
+    const markers = (spec.markers || []).map(indexOf);
+    const color = spec.color || DEFAULT_MARKER_COLOR;
+    markers.forEach(i => { markerColors[i] = color; });
+    return {
+      name,
+      markers,
+      color,
+      lineColor: spec.lineColor || DEFAULT_LINE_COLOR,
+      edges: resolveEdges(name, spec.edges ?? 'chain', markers, indexOf),
+      rigidBody: Boolean(spec.rigidBody),
+    };
+  });
+
+  const rigidBody = segments.find(segment => segment.rigidBody);
+  return { segments, markerColors, rigidBodyMarkers: rigidBody ? rigidBody.markers : [] };
+}
+
+function resolveEdges(name, edges, markers, indexOf) {
+  if (edges === 'none') return [];
+  if (edges === 'chain') return markers.slice(1).map((b, i) => [markers[i], b]);
+  if (edges === 'all') {
+    const pairs = [];
+    for (let i = 0; i < markers.length; i++) {
+      for (let j = i + 1; j < markers.length; j++) pairs.push([markers[i], markers[j]]);
+    }
+    return pairs;
+  }
+  if (!Array.isArray(edges) || !edges.every(edge => Array.isArray(edge) && edge.length === 2)) {
+    throw new SkeletonError(`skeleton: segment "${name}" edges must be "chain", "all", "none" or a list of pairs`);
+  }
+  return edges.map(([a, b]) => [indexOf(a), indexOf(b)]);
+}
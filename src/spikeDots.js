@@ -0,0 +1,279 @@
+import * as THREE from 'three';
+
+// Spike dots on the floor, drawn as a single InstancedMesh. Each instance has
+// its position in the instance matrix, its unit colour in instanceColor and
+// its birth time and bounce in attributes; the bounce / shrink emphasis
+// animation and the fade by age run in the shaders, so nothing is touched per
+// frame except a time uniform.
+//
+// Dots live in a ring buffer of `capacity` slots, oldest first. When it is
+// full the oldest dot is overwritten, which keeps memory bounded. Dots are
+// kept in spike order so that a moving time window can add and remove them
+// at either end.
+
+const DEFAULT_RADIUS = 0.016;
+const FLOOR_HEIGHT = 0.005;
+const BOUNCE_FREQUENCY = 12;
+
+export function createSpikeDots(capacity, { emphasisTime, radius = DEFAULT_RADIUS }) {
+  const geometry = new THREE.SphereGeometry(radius, 8, 8);
+  const births = new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1);
+  const bounces = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 2), 2);
+  births.setUsage(THREE.DynamicDrawUsage);
+  bounces.setUsage(THREE.DynamicDrawUsage);
+  geometry.setAttribute('spikeBirth', births);
+  geometry.setAttribute('spikeBounce', bounces);
+
+  const uniforms = {
+    spikeTime: { value: 0 },
+    emphasisTime: { value: emphasisTime },
+    fadeTime: { value: 0 },
+  };
+  const emphasize = shader => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>
+        attribute float spikeBirth;
+        attribute vec2 spikeBounce; // initial height, decay rate
+        uniform float spikeTime;
+        uniform float emphasisTime;
+        uniform float fadeTime;
+        varying float vSpikeFade;`)
+      .replace('#include <begin_vertex>', `
+        // Fade out with the distance in time from the playhead (either way,
+        // so spikes ahead of it fade in).
+        float age = spikeTime - spikeBirth;
+        vSpikeFade = fadeTime > 0.0 ? clamp(1.0 - abs(age) / fadeTime, 0.0, 1.0) : 1.0;
+        // Shrink to half size over the emphasis time while bouncing on the
+        // floor with an exponentially decaying height. Spikes that have not
+        // happened yet are drawn settled.
+        if (age < 0.0) age = emphasisTime * 10.0;
+        vec3 transformed = position * mix(1.0, 0.5, clamp(age / emphasisTime, 0.0, 1.0));
+        transformed.y += spikeBounce.x * exp(-spikeBounce.y * age) * abs(cos(${BOUNCE_FREQUENCY.toFixed(1)} * age));`);
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>
+        varying float vSpikeFade;`)
+      .replace('#include <color_fragment>', `#include <color_fragment>
+        diffuseColor.a *= vSpikeFade;`);
+  };
+  const material = new THREE.MeshPhongMaterial({ color: 0xffffff, shininess: 50 });
+  material.onBeforeCompile = emphasize;
+  // For passes that draw everything else black (selective bloom, see
+  // bloom.js): the same animation, so the dots hide what is behind them where
+  // they are drawn.
+  const darkMaterial = new THREE.MeshBasicMaterial({ color: 'black' });
+  darkMaterial.onBeforeCompile = emphasize;
+
+  const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+  mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+  mesh.frustumCulled = false; // Bounds change with every dot.
+  mesh.userData.darkMaterial = darkMaterial;
+  mesh.count = 0;
+
+  const spikeIndices = new Int32Array(capacity);
+  const neuronIds = new Float64Array(capacity);
+  const attributes = [mesh.instanceMatrix, mesh.instanceColor, births, bounces];
+  const matrix = new THREE.Matrix4();
+  const color = new THREE.Color();
+  const zero = new THREE.Matrix4().makeScale(0, 0, 0);
+  let head = 0;   // Slot of the oldest dot.
+  let count = 0;
+
+  const slotOf = i => (head + i) % capacity;
+  const markSlot = slot => {
+    attributes.forEach(attribute => {
+      attribute.addUpdateRange(slot * attribute.itemSize, attribute.itemSize);
+      attribute.needsUpdate = true;
+    });
+  };
+  // Once the ring has wrapped the occupied slots are no longer 0..count-1, so
+  // every slot is drawn and free ones are collapsed to nothing.
+  const updateDrawCount = () => {
+    mesh.count = head === 0 ? count : capacity;
+  };
+  const write = (slot, { spikeIndex, neuronId, x, z, color: dotColor, birth, bounceHeight }) => {
+    spikeIndices[slot] = spikeIndex;
+    neuronIds[slot] = neuronId;
+    mesh.setMatrixAt(slot, matrix.makeTranslation(x, FLOOR_HEIGHT, z));
+    mesh.setColorAt(slot, dotColor);
+    births.setX(slot, birth);
+    bounces.setXY(slot, bounceHeight, 2 + 2 * Math.random());
+    markSlot(slot);
+  };
+  const free = slot => {
+    mesh.setMatrixAt(slot, zero);
+    markSlot(slot);
+  };
+
+  // The dot in `slot` as the vertex shader draws it at the current time,
+  // bounced and shrunk, so that picking finds it where it is seen.
+  const drawnMatrixAt = (slot, target) => {
+    const { spikeTime, emphasisTime } = uniforms;
+    let age = spikeTime.value - births.getX(slot);
+    if (age < 0) age = emphasisTime.value * 10;
+    const scale = THREE.MathUtils.lerp(1, 0.5, THREE.MathUtils.clamp(age / emphasisTime.value, 0, 1));
+    const bounce = bounces.getX(slot) * Math.exp(-bounces.getY(slot) * age) * Math.abs(Math.cos(BOUNCE_FREQUENCY * age));
+    mesh.getMatrixAt(slot, target);
+    const x = target.elements[12];
+    const z = target.elements[14];
+    return target.makeScale(scale, scale, scale).setPosition(x, FLOOR_HEIGHT + bounce, z);
+  };
+  const pickMesh = new THREE.Mesh(geometry, material);
+  const pickHits = [];
+  mesh.raycast = (raycaster, intersects) => {
+    for (let i = 0; i < count; i++) {
+      const slot = slotOf(i);
+      pickMesh.matrixWorld.multiplyMatrices(mesh.matrixWorld, drawnMatrixAt(slot, matrix));
+      pickMesh.raycast(raycaster, pickHits);
+      pickHits.forEach(hit => {
+        hit.instanceId = slot;
+        hit.object = mesh;
+        intersects.push(hit);
+      });
+      pickHits.length = 0;
+    }
+  };
+
+  const dots = {
+    mesh,
+    capacity,
+
+    get count() {
+      return count;
+    },
+
+    // Add a dot after the newest one, overwriting the oldest when full.
+    // `birth` is the spike's time on the clock passed to setTime().
+    add(record) {
+      let slot;
+      if (count === capacity) {
+        slot = head;
+        head = (head + 1) % capacity;
+      } else {
+        slot = slotOf(count);
+        count++;
+      }
+      write(slot, record);
+      updateDrawCount();
+    },
+
+    // Add a dot before the oldest one; ignored when full.
+    addOldest(record) {
+      if (count === capacity) return;
+      head = (head + capacity - 1) % capacity;
+      count++;
+      write(head, record);
+      updateDrawCount();
+    },
+
+    // Spike index of the most recently added dot, or -1.
+    newestSpikeIndex() {
+      return count > 0 ? spikeIndices[slotOf(count - 1)] : -1;
+    },
+
+    oldestSpikeIndex() {
+      return count > 0 ? spikeIndices[head] : -1;
+    },
+
+    // The dot in instance slot `slot` (e.g. a raycast's instanceId) as
+    // { spikeIndex, neuronId }, or null if the slot is free.
+    dotAt(slot) {
+      if ((slot - head + capacity) % capacity >= count) return null;
+      return { spikeIndex: spikeIndices[slot], neuronId: neuronIds[slot] };
+    },
+
+    removeNewest() {
+      if (count === 0) return;
+      count--;
+      free(slotOf(count));
+      if (count === 0) head = 0;
+      updateDrawCount();
+    },
+
+    removeOldest() {
+      if (count === 0) return;
+      free(head);
+      head = (head + 1) % capacity;
+      count--;
+      if (count === 0) head = 0;
+      updateDrawCount();
+    },
+
+    // All dots, oldest first, in the form add() takes.
+    records() {
+      const out = [];
+      for (let i = 0; i < count; i++) {
+        const slot = slotOf(i);
+        mesh.getMatrixAt(slot, matrix);
+        mesh.getColorAt(slot, color);
+        out.push({
+          spikeIndex: spikeIndices[slot],
+          neuronId: neuronIds[slot],
+          x: matrix.elements[12],
+          z: matrix.elements[14],
+          color: color.clone(),
+          birth: births.getX(slot),
+          bounceHeight: bounces.getX(slot),
+        });
+      }
+      return out;
+    },
+
+    // Replace all dots; records must be in spike order.
+    load(records) {
+      head = 0;
+      count = 0;
+      records.slice(-capacity).forEach(record => dots.add(record));
+      // Free slots are drawn too once the ring wraps.
+      for (let slot = count; slot < capacity; slot++) mesh.setMatrixAt(slot, zero);
+      attributes.forEach(attribute => {
+        attribute.clearUpdateRanges();
+        attribute.needsUpdate = true;
+      });
+    },
+
+    clear() {
+      dots.load([]);
+    },
+
+    setNeuronColor(neuronId, newColor) {
+      for (let i = 0; i < count; i++) {
+        const slot = slotOf(i);
+        if (neuronIds[slot] !== neuronId) continue;
+        mesh.setColorAt(slot, newColor);
+        markSlot(slot);
+      }
+    },
+
+    setTime(time) {
+      uniforms.spikeTime.value = time;
+    },
+
+    // Length of the bounce / shrink animation after each spike.
+    setEmphasisTime(seconds) {
+      uniforms.emphasisTime.value = seconds;
+    },
+
+    // Fade dots out over `seconds` from the playhead (0 = no fading).
+    setFadeTime(seconds) {
+      uniforms.fadeTime.value = seconds;
+      if (material.transparent !== seconds > 0) {
+        [material, darkMaterial].forEach(m => {
+          m.transparent = seconds > 0;
+          m.depthWrite = !m.transparent;
+          m.needsUpdate = true;
+        });
+      }
+    },
+
+    dispose() {
+      geometry.dispose();
+      material.dispose();
+      darkMaterial.dispose();
+      mesh.dispose();
+    },
+  };
+  return dots;
+}
@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+import { isValidPoint } from './gaps.js';
+import { sweepTo, upperBound } from './search.js';
+
+// Fading trails behind a tracked point: the samples of its stream from the
+// last `length` seconds up to the playhead, drawn as a line.
+//
+// Samples live in a ring buffer that is written twice, at slot s and s +
+// capacity, so the samples from oldest to newest are always one contiguous
+// draw range and nothing has to be shifted when the trail moves. Like the
+// spike dots, samples enter and leave at both ends as the window moves either
+// way. The fade and speed colouring are done in the shaders from each
+// vertex's timestamp and speed.
+
+export const TRAIL_FADES = ['none', 'linear', 'smooth', 'quadratic'];
+
+const vertexShader = `
+  attribute float trailTime;
+  attribute float trailSpeed;
+  attribute float trailValid;
+  uniform float time;
+  uniform float trailLength;
+  uniform int fade;
+  uniform bool colorBySpeed;
+  uniform float maxSpeed;
+  uniform vec3 baseColor;
+  varying vec4 vColor;
+
+  // Hue in [0, 1] to a saturated RGB colour.
+  vec3 hueToRgb(float h) {
+    return clamp(abs(mod(h * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+  }
+
+  void main() {
+    // 1 at the playhead, 0 at the tail.
+    float progress = clamp(1.0 - (time - trailTime) / trailLength, 0.0, 1.0);
+    float alpha = 1.0;
+    if (fade == 1) alpha = progress;
+    else if (fade == 2) alpha = smoothstep(0.0, 1.0, progress);
+    else if (fade == 3) alpha = progress * progress;
+    // Blue when still, red at maxSpeed and above.
+    vec3 color = colorBySpeed ? hueToRgb(0.66 * (1.0 - clamp(trailSpeed / maxSpeed, 0.0, 1.0))) : baseColor;
+    // Segments running into or out of a gap fade out.
+    vColor = vec4(color, alpha * trailValid);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const fragmentShader = `
+  varying vec4 vColor;
+  void main() {
+    gl_FragColor = vColor;
+  }
+`;
+
+// points / times: the tracked stream; times are converted to seconds from
+// `origin` for the shader, which works in single precision.
+export function createTrail(points, times, { color, origin, length }) {
+  // Room for `length` seconds at the stream's average rate, with some slack.
+  const duration = times.length > 1 ? times[times.length - 1] - times[0] : 0;
+  const rate = duration > 0 ? (times.length - 1) / duration : 1;
+  const capacity = Math.max(2, Math.ceil(length * rate * 1.1) + 8);
+
+  const positions = new THREE.BufferAttribute(new Float32Array(capacity * 2 * 3), 3);
+  const stamps = new THREE.BufferAttribute(new Float32Array(capacity * 2), 1);
+  const speeds = new THREE.BufferAttribute(new Float32Array(capacity * 2), 1);
+  const valid = new THREE.BufferAttribute(new Float32Array(capacity * 2), 1);
+  const attributes = [positions, stamps, speeds, valid];
+  attributes.forEach(attribute => attribute.setUsage(THREE.DynamicDrawUsage));
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', positions);
+  geometry.setAttribute('trailTime', stamps);
+  geometry.setAttribute('trailSpeed', speeds);
+  geometry.setAttribute('trailValid', valid);
+  geometry.setDrawRange(0, 0);
+
+  const uniforms = {
+    time: { value: 0 },
+    trailLength: { value: length },
+    fade: { value: 0 },
+    colorBySpeed: { value: false },
+    maxSpeed: { value: 1 },
+    baseColor: { value: new THREE.Color(color) },
+  };
+  const material = new THREE.ShaderMaterial({
+    uniforms,
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    depthWrite: false,
+  });
+  const line = new THREE.Line(geometry, material);
+  line.frustumCulled = false;
+
+  const sampleIndices = new Int32Array(capacity);
+  let head = 0;               // Slot of the oldest sample.
+  let count = 0;
+  let first = 0;              // The trail covers samples [first, end).
+  let end = 0;
+  let stale = true;           // Rebuild from scratch on the next update.
+
+  const setPosition = (slot, x, y, z) => {
+    positions.setXYZ(slot, x, y, z);
+    positions.setXYZ(slot + capacity, x, y, z);
+    positions.addUpdateRange(slot * 3, 3);
+    positions.addUpdateRange((slot + capacity) * 3, 3);
+    positions.needsUpdate = true;
+  };
+  // `neighbour` is the slot next to this one in the trail, or -1. Missing
+  // samples are collapsed onto their neighbours, so with zero validity at both
+  // ends the segments across a gap are invisible.
+  const write = (slot, i, neighbour) => {
+    sampleIndices[slot] = i;
+    const p = points[i];
+    const ok = isValidPoint(p);
+    if (ok) {
+      setPosition(slot, p.x, p.y, p.z);
+      if (neighbour >= 0 && valid.getX(neighbour) === 0) setPosition(neighbour, p.x, p.y, p.z);
+    } else if (neighbour >= 0) {
+      setPosition(slot, positions.getX(neighbour), positions.getY(neighbour), positions.getZ(neighbour));
+    }
+    const prev = i > 0 ? points[i - 1] : null;
+    const dt = i > 0 ? times[i] - times[i - 1] : 0;
+    const speed = ok && prev && isValidPoint(prev) && dt > 0
+      ? Math.hypot(p.x - prev.x, p.y - prev.y, p.z - prev.z) / dt
+      : 0;
+    for (const attribute of [stamps, speeds, valid]) {
+      attribute.addUpdateRange(slot, 1);
+      attribute.addUpdateRange(slot + capacity, 1);
+      attribute.needsUpdate = true;
+    }
+    for (const s of [slot, slot + capacity]) {
+      stamps.setX(s, times[i] - origin);
+      speeds.setX(s, speed);
+      valid.setX(s, ok ? 1 : 0);
+    }
+  };
+  const pushNewest = i => {
+    if (count === capacity) {
+      head = (head + 1) % capacity;
+      count--;
+    }
+    write((head + count) % capacity, i, count > 0 ? (head + count - 1) % capacity : -1);
+    count++;
+  };
+  const pushOldest = i => {
+    if (count === capacity) return;
+    const neighbour = count > 0 ? head : -1;
+    head = (head + capacity - 1) % capacity;
+    count++;
+    write(head, i, neighbour);
+  };
+  const newest = () => (count > 0 ? sampleIndices[(head + count - 1) % capacity] : -1);
+  const oldest = () => (count > 0 ? sampleIndices[head] : -1);
+
+  const rebuild = (time, from) => {
+    head = 0;
+    count = 0;
+    end = upperBound(times, time);
+    first = Math.max(upperBound(times, from), end - capacity);
+    for (let i = first; i < end; i++) pushNewest(i);
+    attributes.forEach(attribute => {
+      attribute.clearUpdateRanges();
+      attribute.needsUpdate = true;
+    });
+    stale = false;
+  };
+
+  return {
+    line,
+    length,
+
+    // Drop everything and rebuild on the next update (after a seek).
+    reset() {
+      stale = true;
+    },
+
+    // time in session seconds; options { fade, colorBySpeed, maxSpeed }.
+    update(time, { fade, colorBySpeed, maxSpeed }) {
+      const from = time - length;
+      // A step longer than the trail leaves nothing of the old window to keep.
+      if (stale || upperBound(times, from) >= end || upperBound(times, time) <= first) {
+        rebuild(time, from);
+      } else {
+        end = sweepTo(times, end, time, (i, sign) => {
+          if (sign > 0) pushNewest(i);
+          else if (newest() === i) count--;
+        });
+        first = sweepTo(times, first, from, (i, sign) => {
+          if (sign < 0) {
+            if (i < end) pushOldest(i);
+          } else if (oldest() === i) {
+            head = (head + 1) % capacity;
+            count--;
+          }
+        });
+      }
+      geometry.setDrawRange(head, count);
+      uniforms.time.value = time - origin;
+      uniforms.fade.value = TRAIL_FADES.indexOf(fade);
+      uniforms.colorBySpeed.value = colorBySpeed;
+      uniforms.maxSpeed.value = maxSpeed;
+    },
+
+    dispose() {
+      geometry.dispose();
+      material.dispose();
+    },
+  };
+}
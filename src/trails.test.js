@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTrail } from './trails.js';
+
+const RATE = 100;
+const times = Array.from({ length: 10 * RATE + 1 }, (_, i) => i / RATE);
+const points = times.map(t => ({ x: t, y: 0, z: 0 }));
+const options = { fade: 'none', colorBySpeed: false, maxSpeed: 1 };
+
+// The sample times in the trail's draw range, oldest first.
+function trailTimes(trail) {
+  const { start, count } = trail.line.geometry.drawRange;
+  const stamps = trail.line.geometry.getAttribute('trailTime');
+  return Array.from({ length: count }, (_, k) => stamps.getX(start + k));
+}
+
+function expectWindow(trail, time) {
+  const expected = times.filter(t => t > time - trail.length && t <= time);
+  const actual = trailTimes(trail);
+  assert.equal(actual.length, expected.length);
+  actual.forEach((t, k) => assert.ok(Math.abs(t - expected[k]) < 1e-6, `${t} != ${expected[k]}`));
+}
+
+test('trail follows small steps either way', () => {
+  const trail = createTrail(points, times, { color: 0xffffff, origin: 0, length: 1 });
+  for (const time of [2, 2.05, 2.5, 2.45, 2.1, 3]) {
+    trail.update(time, options);
+    expectWindow(trail, time);
+  }
+});
+
+test('trail rebuilds after a reverse step longer than its length', () => {
+  const trail = createTrail(points, times, { color: 0xffffff, origin: 0, length: 1 });
+  trail.update(9, options);
+  trail.update(5, options);
+  expectWindow(trail, 5);
+  // ...and keeps updating afterwards.
+  trail.update(5.2, options);
+  expectWindow(trail, 5.2);
+});
+
+test('trail rebuilds after a forward step longer than its length', () => {
+  const trail = createTrail(points, times, { color: 0xffffff, origin: 0, length: 1 });
+  trail.update(1, options);
+  trail.update(6, options);
+  expectWindow(trail, 6);
+  trail.update(5.9, options);
+  expectWindow(trail, 5.9);
+});
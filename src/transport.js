@@ -0,0 +1,87 @@
+// Transport bar: play/pause, frame stepping, reverse, speed and a scrubber.
+//
+// The bar only reports user actions through callbacks; main.js owns the
+// playback state and pushes it back with update() every frame. Times are in
+// session seconds; the label shows them relative to the start.
+
+const SPEEDS = [0.1, 0.25, 0.5, 1, 2, 5, 10];
+
+export function createTransport(container, { onTogglePlay, onStep, onToggleReverse, onSpeed, onSeek }) {
+  const bar = document.createElement('div');
+  bar.id = 'transport';
+
+  const stepBack = button('⏮', 'Step back one frame (←)', () => onStep(-1));
+  const play = button('⏸', 'Play / pause (space)', onTogglePlay);
+  const stepForward = button('⏭', 'Step forward one frame (→)', () => onStep(1));
+  const reverse = button('⇄', 'Reverse playback', onToggleReverse);
+
+  const speed = document.createElement('select');
+  speed.title = 'Playback speed';
+  SPEEDS.forEach(s => speed.add(new Option(`${s}×`, s)));
+  speed.addEventListener('change', () => onSpeed(parseFloat(speed.value)));
+
+  const scrubber = document.createElement('input');
+  scrubber.type = 'range';
+  scrubber.min = 0;
+  scrubber.max = 0;
+  scrubber.step = 'any';
+  scrubber.value = 0;
+  scrubber.addEventListener('input', () => onSeek(parseFloat(scrubber.value)));
+  let dragging = false;
+  scrubber.addEventListener('pointerdown', () => { dragging = true; });
+  window.addEventListener('pointerup', () => { dragging = false; });
+
+  const time = document.createElement('span');
+  time.className = 'time';
+
+  bar.append(stepBack, play, stepForward, reverse, speed, scrubber, time);
+  container.appendChild(bar);
+
+  // Keyboard shortcuts, ignored while typing into inputs.
+  window.addEventListener('keydown', event => {
+    if (event.target instanceof HTMLInputElement || event.target instanceof HTMLSelectElement) return;
+    if (event.code === 'Space') {
+      event.preventDefault();
+      onTogglePlay();
+    } else if (event.code === 'ArrowLeft') {
+      onStep(-1);
+    } else if (event.code === 'ArrowRight') {
+      onStep(1);
+    }
+  });
+
+  return {
+    update({ time: current, startTime, endTime, playing, reversed, playbackSpeed }) {
+      scrubber.min = startTime;
+      scrubber.max = endTime;
+      if (!dragging) {
+        scrubber.value = current;
+      }
+      play.textContent = playing ? '⏸' : '▶';
+      reverse.classList.toggle('active', reversed);
+      if (parseFloat(speed.value) !== playbackSpeed) {
+        const option = Array.from(speed.options).find(o => parseFloat(o.value) === playbackSpeed);
+        if (option) speed.value = option.value;
+      }
+      time.textContent = `${formatTime(current - startTime)} / ${formatTime(endTime - startTime)}`;
+    },
+  };
+}
+
+function button(label, title, onClick) {
+  const el = document.createElement('button');
+  el.textContent = label;
+  el.title = title;
+  el.addEventListener('click', onClick);
+  return el;
+}
+
+// Seconds -> m:ss.sss
+export function formatTime(seconds) {
+  if (!Number.isFinite(seconds)) return '-:--.---';
+  const sign = seconds < 0 ? '-' : '';
+  const abs = Math.abs(seconds);
+  const minutes = Math.floor(abs / 60);
+  const rest = (abs - minutes * 60).toFixed(3).padStart(6, '0');
+  return `${sign}${minutes}:${rest}`;
+}
@@ -0,0 +1,112 @@
+// Unit list: one row per unit with a display checkbox, colour picker, spike
+// count and mean firing rate, plus a search box and "top N by rate".
+//
+// Like the transport bar, the panel only reports user actions; main.js owns
+// the selection and calls refresh() after changing it.
+
+export function createUnitPanel(container, { onToggle, onColor, onSelect }) {
+  const panel = document.createElement('div');
+  panel.id = 'units';
+
+  const header = document.createElement('div');
+  header.className = 'header';
+  const title = document.createElement('span');
+  title.textContent = 'Units';
+  const collapse = document.createElement('button');
+  collapse.textContent = '▾';
+  collapse.title = 'Show / hide the unit list';
+  header.append(title, collapse);
+
+  const tools = document.createElement('div');
+  tools.className = 'tools';
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.placeholder = 'Filter (id, quality, group…)';
+  const topN = document.createElement('input');
+  topN.type = 'number';
+  topN.min = 1;
+  topN.value = 5;
+  topN.title = 'Number of units';
+  const topButton = document.createElement('button');
+  topButton.textContent = 'Top N by rate';
+  const noneButton = document.createElement('button');
+  noneButton.textContent = 'None';
+  tools.append(search, topN, topButton, noneButton);
+
+  const list = document.createElement('div');
+  list.className = 'list';
+  panel.append(header, tools, list);
+  container.appendChild(panel);
+
+  let rows = [];
+  let units = [];
+
+  collapse.addEventListener('click', () => {
+    const hidden = list.style.display === 'none';
+    list.style.display = tools.style.display = hidden ? '' : 'none';
+    collapse.textContent = hidden ? '▾' : '▸';
+  });
+  search.addEventListener('input', applyFilter);
+  topButton.addEventListener('click', () => {
+    const n = Math.max(1, parseInt(topN.value) || 1);
+    const visible = units.filter(unit => matches(unit, search.value));
+    const top = visible.slice().sort((a, b) => b.rate - a.rate).slice(0, n);
+    onSelect(top.map(unit => unit.id));
+  });
+  noneButton.addEventListener('click', () => onSelect([]));
+
+  function applyFilter() {
+    rows.forEach(({ unit, row }) => {
+      row.style.display = matches(unit, search.value) ? '' : 'none';
+    });
+  }
+
+  return {
+    // units: [{ id, spikeCount, rate, ...metadata }]
+    setUnits(newUnits, selected, colors) {
+      units = newUnits;
+      list.textContent = '';
+      rows = units.map(unit => {
+        const row = document.createElement('label');
+        row.className = 'row';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.addEventListener('change', () => onToggle(unit.id, checkbox.checked));
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.addEventListener('input', () => onColor(unit.id, color.value));
+        const text = document.createElement('span');
+        const extra = describe(unit);
+        text.textContent = `${unit.id}  ${unit.spikeCount} sp  ${unit.rate.toFixed(2)} Hz${extra ? '  ' + extra : ''}`;
+        row.append(checkbox, color, text);
+        list.appendChild(row);
+        return { unit, row, checkbox, color };
+      });
+      applyFilter();
+      this.refresh(selected, colors);
+    },
+
+    // selected: array of ids, colors: { id: THREE.Color }
+    refresh(selected, colors) {
+      const set = new Set(selected);
+      rows.forEach(({ unit, checkbox, color }) => {
+        checkbox.checked = set.has(unit.id);
+        if (colors[unit.id]) color.value = `#${colors[unit.id].getHexString()}`;
+      });
+    },
+  };
+}
+
+// Metadata columns other than the ones shown explicitly, as "key=value".
+function describe(unit) {
+  return Object.entries(unit)
+    .filter(([key, value]) => !['id', 'spikeCount', 'rate'].includes(key) && value !== null && typeof value !== 'object')
+    .map(([key, value]) => `${key}=${value}`)
+    .join(' ');
+}
+
+function matches(unit, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return true;
+  return String(unit.id) === q || describe(unit).toLowerCase().includes(q) || String(unit.id).startsWith(q);
+}
@@ -0,0 +1,116 @@
+import { zip } from 'fflate';
+import { muxWebM } from './webm.js';
+
+// Offline export: steps the session through a time range at a fixed output
+// frame rate, rendering and capturing the canvas once per frame, so the result
+// does not depend on how fast frames can be drawn.
+//
+// "webm" encodes VP9 with WebCodecs, with each frame's timestamp taken from its
+// index rather than the wall clock. "png" collects a numbered PNG sequence in
+// a zip; unlike the video it keeps the alpha channel of ?transparent=1.
+
+export const EXPORT_FORMATS = ['webm', 'png'];
+
+const KEYFRAME_INTERVAL = 2;      // Seconds between video keyframes.
+const BITS_PER_PIXEL = 0.2;       // Video bitrate per pixel per frame.
+
+export class ExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportError';
+  }
+}
+
+// `renderFrame(time)` must draw the scene at a session time into `canvas`;
+// `transparent` says whether it has a transparent background to keep.
+// Resolves to the exported Blob, or null if `isCancelled()` turned true.
+export async function exportFrames(canvas, { start, end, fps, format, transparent, renderFrame, onProgress, isCancelled }) {
+  if (!(end >= start) || !(fps > 0)) {
+    throw new ExportError(`Cannot export ${start}–${end} s at ${fps} fps`);
+  }
+  if (transparent && !formatKeepsAlpha(format)) {
+    throw new ExportError(`The ${format} format has no alpha channel; export a PNG sequence to keep the transparent background`);
+  }
+  const count = Math.floor((end - start) * fps + 1e-6) + 1;
+  const frameTime = i => start + i / fps;
+  if (format === 'png') return exportPngSequence(canvas, count, frameTime, renderFrame, onProgress, isCancelled);
+  if (format === 'webm') return exportWebM(canvas, count, fps, frameTime, renderFrame, onProgress, isCancelled);
+  throw new ExportError(`Unknown export format "${format}"`);
+}
+
+export function formatKeepsAlpha(format) {
+  return format === 'png';
+}
+
+async function exportPngSequence(canvas, count, frameTime, renderFrame, onProgress, isCancelled) {
+  const digits = Math.max(5, String(count - 1).length);
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    if (isCancelled()) return null;
+    onProgress(i, count);
+    renderFrame(frameTime(i));
+    // The canvas is read before control returns to the browser, while the
+    // drawing buffer still holds this frame.
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    files[`frame_${String(i).padStart(digits, '0')}.png`] = new Uint8Array(await blob.arrayBuffer());
+  }
+  // PNGs are already compressed; just store them.
+  const data = await new Promise((resolve, reject) => {
+    zip(files, { level: 0 }, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+  return new Blob([data], { type: 'application/zip' });
+}
+
+async function exportWebM(canvas, count, fps, frameTime, renderFrame, onProgress, isCancelled) {
+  if (typeof VideoEncoder === 'undefined') {
+    throw new ExportError('This browser cannot encode video (no WebCodecs); export a PNG sequence instead');
+  }
+  const { width, height } = canvas;
+  const config = {
+    codec: 'vp09.00.10.08',
+    width,
+    height,
+    bitrate: Math.round(width * height * fps * BITS_PER_PIXEL),
+    framerate: fps,
+  };
+  const { supported } = await VideoEncoder.isConfigSupported(config);
+  if (!supported) {
+    throw new ExportError(`VP9 encoding at ${width}×${height} is not supported here; export a PNG sequence instead`);
+  }
+
+  const frames = [];
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output: chunk => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      frames.push({ timestamp: chunk.timestamp, duration: chunk.duration, key: chunk.type === 'key', data });
+    },
+    error: err => { failure = err; },
+  });
+  encoder.configure(config);
+  const frameDuration = 1e6 / fps;
+  const keyframeEvery = Math.max(1, Math.round(KEYFRAME_INTERVAL * fps));
+  try {
+    for (let i = 0; i < count; i++) {
+      if (failure) throw new ExportError(`Video encoding failed (${failure.message})`);
+      if (isCancelled()) return null;
+      onProgress(i, count);
+      renderFrame(frameTime(i));
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(i * frameDuration), duration: Math.round(frameDuration) });
+      encoder.encode(frame, { keyFrame: i % keyframeEvery === 0 });
+      frame.close();
+      // Let the encoder catch up, and the page repaint the progress.
+      while (encoder.encodeQueueSize > 2) {
+        await new Promise(resolve => encoder.addEventListener('dequeue', resolve, { once: true }));
+      }
+      await new Promise(resolve => setTimeout(resolve));
+    }
+    await encoder.flush();
+  } finally {
+    if (encoder.state !== 'closed') encoder.close();
+  }
+  if (failure) throw new ExportError(`Video encoding failed (${failure.message})`);
+  frames.sort((a, b) => a.timestamp - b.timestamp);
+  return muxWebM({ width, height, codec: 'vp9', frames });
+}
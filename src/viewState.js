@@ -0,0 +1,101 @@
+// Shareable view state: the moment and angle being looked at, as a URL hash
+// such as
+//
+//   #t=12.5&speed=1&play=0&cam=0.3,1.2,1.5&target=0,0,0&units=60,61&trails=head1&bloom=1
+//
+// t is seconds from the session start, cam and target are the orbit camera
+// position and target in scene metres, units the selected unit ids and trails
+// the markers with trails. Any other key is a display setting, passed through
+// as a string for main.js to interpret.
+//
+// Bookmarks are named view hashes kept in localStorage per session name.
+
+const BOOKMARKS_KEY = 'mocap-viz:bookmarks';
+
+// state: { time, speed, playing, reverse, camera, target, units, trails,
+// settings }, all optional.
+export function encodeViewState(state) {
+  const params = new URLSearchParams();
+  if (state.time !== undefined) params.set('t', round(state.time, 4));
+  if (state.speed !== undefined) params.set('speed', round(state.speed, 4));
+  if (state.playing !== undefined) params.set('play', state.playing ? '1' : '0');
+  if (state.reverse) params.set('reverse', '1');
+  if (state.camera) params.set('cam', state.camera.map(v => round(v, 4)).join(','));
+  if (state.target) params.set('target', state.target.map(v => round(v, 4)).join(','));
+  if (state.units) params.set('units', state.units.join(','));
+  if (state.trails) params.set('trails', state.trails.join(','));
+  Object.entries(state.settings || {}).forEach(([key, value]) => {
+    params.set(key, typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+  });
+  // Commas are safe in a fragment and much easier to read unescaped.
+  return params.toString().replace(/%2C/g, ',');
+}
+
+// Parse a hash (with or without the leading #). Malformed entries are dropped,
+// so a hand-edited link restores as much as it can.
+export function decodeViewState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const state = { settings: {} };
+  params.forEach((value, key) => {
+    switch (key) {
+      case 't':
+      case 'speed': {
+        const number = parseFloat(value);
+        if (Number.isFinite(number)) state[key === 't' ? 'time' : 'speed'] = number;
+        break;
+      }
+      case 'play':
+        state.playing = value === '1';
+        break;
+      case 'reverse':
+        state.reverse = value === '1';
+        break;
+      case 'cam':
+      case 'target': {
+        const vector = value.split(',').map(parseFloat);
+        if (vector.length === 3 && vector.every(Number.isFinite)) state[key === 'cam' ? 'camera' : 'target'] = vector;
+        break;
+      }
+      case 'units':
+        state.units = value.split(',').filter(Boolean).map(Number).filter(Number.isInteger);
+        break;
+      case 'trails':
+        state.trails = value.split(',').filter(Boolean);
+        break;
+      default:
+        state.settings[key] = value;
+    }
+  });
+  return state;
+}
+
+// Bookmarks for one session as { name: hash }.
+export function loadBookmarks(sessionName) {
+  return readAllBookmarks()[sessionName] || {};
+}
+
+export function saveBookmark(sessionName, name, hash) {
+  const all = readAllBookmarks();
+  all[sessionName] = { ...all[sessionName], [name]: hash };
+  localStorage.setItem(BOOKMARKS_KEY, JSON.stringify(all));
+}
+
+export function deleteBookmark(sessionName, name) {
+  const all = readAllBookmarks();
+  if (!all[sessionName]) return;
+  delete all[sessionName][name];
+  localStorage.setItem(BOOKMARKS_KEY, JSON.stringify(all));
+}
+
+function readAllBookmarks() {
+  try {
+    return JSON.parse(localStorage.getItem(BOOKMARKS_KEY)) || {};
+  } catch {
+    // Unreadable (or blocked) storage just means no bookmarks yet.
+    return {};
+  }
+}
+
+function round(value, digits) {
+  return String(Number(value.toFixed(digits)));
+}
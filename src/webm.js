@@ -0,0 +1,155 @@
+// Minimal WebM (Matroska) writer for a single video track of encoded frames,
+// as produced by WebCodecs' VideoEncoder. The whole file is assembled in
+// memory, so every element size is known up front and no seeking is needed.
+//
+// Frames start a new cluster at each keyframe and whenever the cluster-relative
+// timecode (signed 16-bit, in milliseconds) would overflow.
+
+const TIMECODE_SCALE = 1000000;   // Nanoseconds per timecode tick: 1 ms.
+const MAX_CLUSTER_SPAN = 32767;   // ms
+
+// Element IDs, with their length marker bits included.
+const ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+};
+
+const CODEC_IDS = { vp8: 'V_VP8', vp9: 'V_VP9', av1: 'V_AV1' };
+
+// frames: [{ timestamp (µs), duration (µs), key, data: Uint8Array }] in
+// presentation order; codec: 'vp8', 'vp9' or 'av1'.
+export function muxWebM({ width, height, codec, frames }) {
+  const last = frames[frames.length - 1];
+  const durationMs = last ? (last.timestamp + (last.duration || 0)) / 1000 : 0;
+
+  const header = element(ID.EBML, [
+    uintElement(ID.EBMLVersion, 1),
+    uintElement(ID.EBMLReadVersion, 1),
+    uintElement(ID.EBMLMaxIDLength, 4),
+    uintElement(ID.EBMLMaxSizeLength, 8),
+    stringElement(ID.DocType, 'webm'),
+    uintElement(ID.DocTypeVersion, 2),
+    uintElement(ID.DocTypeReadVersion, 2),
+  ]);
+  const info = element(ID.Info, [
+    uintElement(ID.TimecodeScale, TIMECODE_SCALE),
+    floatElement(ID.Duration, durationMs),
+    stringElement(ID.MuxingApp, 'mocap-viz'),
+    stringElement(ID.WritingApp, 'mocap-viz'),
+  ]);
+  const tracks = element(ID.Tracks, [
+    element(ID.TrackEntry, [
+      uintElement(ID.TrackNumber, 1),
+      uintElement(ID.TrackUID, 1),
+      uintElement(ID.TrackType, 1),     // Video.
+      stringElement(ID.CodecID, CODEC_IDS[codec]),
+      element(ID.Video, [
+        uintElement(ID.PixelWidth, width),
+        uintElement(ID.PixelHeight, height),
+      ]),
+    ]),
+  ]);
+
+  const clusters = [];
+  let blocks = null;
+  let clusterStart = 0;
+  frames.forEach(frame => {
+    const time = Math.round(frame.timestamp / 1000);
+    if (!blocks || frame.key || time - clusterStart > MAX_CLUSTER_SPAN) {
+      if (blocks) clusters.push(element(ID.Cluster, blocks));
+      clusterStart = time;
+      blocks = [uintElement(ID.Timecode, time)];
+    }
+    // Track number 1 as a 1-byte vint, relative timecode, flags.
+    const block = new Uint8Array(4 + frame.data.length);
+    const view = new DataView(block.buffer);
+    block[0] = 0x81;
+    view.setInt16(1, time - clusterStart);
+    block[3] = frame.key ? 0x80 : 0;
+    block.set(frame.data, 4);
+    blocks.push(element(ID.SimpleBlock, [block]));
+  });
+  if (blocks) clusters.push(element(ID.Cluster, blocks));
+
+  const segment = element(ID.Segment, [info, tracks, ...clusters]);
+  return new Blob([header, segment], { type: 'video/webm' });
+}
+
+// An element is its ID, its size as a variable-length integer and its payload.
+function element(id, children) {
+  const size = children.reduce((sum, child) => sum + child.length, 0);
+  const idBytes = uintBytes(id);
+  const sizeBytes = vint(size);
+  const out = new Uint8Array(idBytes.length + sizeBytes.length + size);
+  out.set(idBytes, 0);
+  out.set(sizeBytes, idBytes.length);
+  let offset = idBytes.length + sizeBytes.length;
+  children.forEach(child => {
+    out.set(child, offset);
+    offset += child.length;
+  });
+  return out;
+}
+
+function uintElement(id, value) {
+  return element(id, [uintBytes(value)]);
+}
+
+function floatElement(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, [bytes]);
+}
+
+function stringElement(id, value) {
+  return element(id, [new TextEncoder().encode(value)]);
+}
+
+// Big-endian unsigned integer in as few bytes as possible.
+function uintBytes(value) {
+  const bytes = [];
+  do {
+    bytes.unshift(value % 256);
+    value = Math.floor(value / 256);
+  } while (value > 0);
+  return Uint8Array.from(bytes);
+}
+
+// EBML variable-length size: a leading 1 bit marks the length in bytes. All
+// ones is reserved for "unknown size", hence the - 1.
+function vint(value) {
+  let length = 1;
+  while (value >= 2 ** (7 * length) - 1) length++;
+  const bytes = new Uint8Array(length);
+  let rest = value;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = rest % 256;
+    rest = Math.floor(rest / 256);
+  }
+  bytes[0] |= 0x80 >> (length - 1);
+  return bytes;
+}